@@ -7,6 +7,8 @@ import {
   ListToolsRequestSchema
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 class OpentronsMCP {
   constructor() {
@@ -23,6 +25,9 @@ class OpentronsMCP {
     );
 
     this.endpoints = [];
+    this.openApiCatalogs = new Map();
+    this.loadRobotRegistry();
+    this.loadProtocolReference();
     this.setupTools();
     this.loadApiEndpoints();
   }
@@ -54,6 +59,23 @@ class OpentronsMCP {
                   type: "boolean",
                   description: "Include deprecated endpoints in results",
                   default: false
+                },
+                robot_version: {
+                  type: "string",
+                  description: "Search the recorded catalog snapshot for this robot software version (e.g., '7.5.0') or 'bundled'"
+                },
+                robot: {
+                  type: "string",
+                  description: "Optional robot name or IP - build the catalog from the robot's live /openapi spec instead of the bundled list"
+                },
+                robot_ip: {
+                  type: "string",
+                  description: "Deprecated alias for robot"
+                },
+                refresh: {
+                  type: "boolean",
+                  description: "Re-download the robot's OpenAPI spec instead of using the on-disk cache",
+                  default: false
                 }
               },
               required: ["query"]
@@ -72,6 +94,19 @@ class OpentronsMCP {
                 path: {
                   type: "string",
                   description: "API endpoint path"
+                },
+                robot: {
+                  type: "string",
+                  description: "Optional robot name or IP - build the catalog from the robot's live /openapi spec instead of the bundled list"
+                },
+                robot_ip: {
+                  type: "string",
+                  description: "Deprecated alias for robot"
+                },
+                refresh: {
+                  type: "boolean",
+                  description: "Re-download the robot's OpenAPI spec instead of using the on-disk cache",
+                  default: false
                 }
               },
               required: ["method", "path"]
@@ -94,6 +129,19 @@ class OpentronsMCP {
                     "Labware Offset Management", "System Control", "Client Data",
                     "Maintenance Run Management", "Robot", "Subsystem Management"
                   ]
+                },
+                robot: {
+                  type: "string",
+                  description: "Optional robot name or IP - build the catalog from the robot's live /openapi spec instead of the bundled list"
+                },
+                robot_ip: {
+                  type: "string",
+                  description: "Deprecated alias for robot"
+                },
+                refresh: {
+                  type: "boolean",
+                  description: "Re-download the robot's OpenAPI spec instead of using the on-disk cache",
+                  default: false
                 }
               },
               required: ["category"]
@@ -104,23 +152,102 @@ class OpentronsMCP {
             description: "Get high-level overview of the Opentrons HTTP API structure and capabilities",
             inputSchema: {
               type: "object",
-              properties: {},
+              properties: {
+                robot: {
+                  type: "string",
+                  description: "Optional robot name or IP - build the catalog from the robot's live /openapi spec instead of the bundled list"
+                },
+                robot_ip: {
+                  type: "string",
+                  description: "Deprecated alias for robot"
+                },
+                refresh: {
+                  type: "boolean",
+                  description: "Re-download the robot's OpenAPI spec instead of using the on-disk cache",
+                  default: false
+                }
+              },
               additionalProperties: false
             }
           },
+          {
+            name: "diff_api_versions",
+            description: "Compare endpoint catalogs between two robot software versions - added, removed, newly deprecated and schema-changed endpoints",
+            inputSchema: {
+              type: "object",
+              properties: {
+                from: { type: "string", description: "Older robot software version (e.g., '7.5.0') or 'bundled'" },
+                to: { type: "string", description: "Newer robot software version (e.g., '8.0.0') or 'bundled'" }
+              },
+              required: ["from", "to"]
+            }
+          },
           {
             name: "upload_protocol",
             description: "Upload a protocol file to an Opentrons robot",
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address (e.g., '192.168.1.100')" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 file_path: { type: "string", description: "Path to protocol file (.py or .json)" },
+                support_files: { type: "array", items: { type: "string" }, description: "Paths to support files (custom labware, data files)" },
+                labware_definitions: { type: "array", items: { type: "string" }, description: "Paths to custom labware definition JSON files; validated before upload. Definitions next to the protocol are found automatically" },
                 protocol_kind: { type: "string", enum: ["standard", "quick-transfer"], default: "standard" },
                 key: { type: "string", description: "Optional client tracking key (~100 chars)" },
-                run_time_parameters: { type: "object", description: "Optional runtime parameter values" }
+                run_time_parameters: { type: "object", description: "Optional runtime parameter values" },
+                skip_lint: { type: "boolean", default: false, description: "Upload even if lint_protocol finds errors" }
+              },
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "lint_protocol",
+            description: "Check a protocol file for common mistakes without a robot: missing robotType/apiLevel, wrong slot names for the robot, unknown labware or pipettes, missing Flex trash, JSON schema problems",
+            inputSchema: {
+              type: "object",
+              properties: {
+                file_path: { type: "string", description: "Path to protocol file (.py or .json)" },
+                robot_model: { type: "string", enum: ["Flex", "OT-2"], description: "Robot the protocol should run on (defaults to what the protocol declares)" }
               },
-              required: ["robot_ip", "file_path"]
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "validate_labware_definition",
+            description: "Check a custom labware definition JSON against the Opentrons labware schema (required fields, well geometry inside the footprint, ordering and groups)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                file_path: { type: "string", description: "Path to the labware definition JSON" }
+              },
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "list_protocol_labware",
+            description: "List the labware a protocol loads, with locations, and whether each is standard, custom with a definition available, or missing a definition",
+            inputSchema: {
+              type: "object",
+              properties: {
+                file_path: { type: "string", description: "Path to protocol file (.py or .json)" },
+                labware_definitions: { type: "array", items: { type: "string" }, description: "Custom labware definition files you plan to upload with it" }
+              },
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "get_labware_geometry",
+            description: "Show rows, columns, well shape, volume, depth and spacing from a labware definition file, or from the definitions a run has loaded",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                file_path: { type: "string", description: "Path to a labware definition JSON" },
+                run_id: { type: "string", description: "Read definitions loaded by this run instead of a file" },
+                load_name: { type: "string", description: "With run_id, only this labware" }
+              }
             }
           },
           {
@@ -129,10 +256,42 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 protocol_kind: { type: "string", enum: ["standard", "quick-transfer"], description: "Filter by protocol type (optional)" }
+              }
+            }
+          },
+          {
+            name: "get_protocol_analysis",
+            description: "Summarize a protocol analysis: pipettes, labware, modules, liquids, runtime parameters, commands and errors",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                protocol_id: { type: "string", description: "Protocol ID" },
+                analysis_id: { type: "string", description: "Analysis ID (defaults to the protocol's latest analysis)" },
+                format: { type: "string", enum: ["text", "json"], default: "text", description: "Readable summary or the raw analysis JSON" },
+                max_commands: { type: "number", default: 200, description: "Maximum number of commands to list in the text summary" }
+              },
+              required: ["protocol_id"]
+            }
+          },
+          {
+            name: "analyze_with_parameters",
+            description: "Re-analyze a protocol with specific runtime parameter values and report whether they pass, listing the protocol's declared parameters",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                protocol_id: { type: "string", description: "Protocol ID" },
+                run_time_parameters: { type: "object", description: "Parameter values keyed by variable name" },
+                csv_files: { type: "object", description: "CSV parameters keyed by variable name - a data file ID or a local file path to upload" },
+                timeout: { type: "number", default: 300, description: "Maximum time to wait for the analysis, in seconds" }
               },
-              required: ["robot_ip"]
+              required: ["protocol_id"]
             }
           },
           {
@@ -141,11 +300,135 @@ class OpentronsMCP {
             inputSchema: {
               type: "object", 
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 protocol_id: { type: "string", description: "ID of protocol to run" },
-                run_time_parameters: { type: "object", description: "Optional runtime parameter values" }
+                run_time_parameters: { type: "object", description: "Optional runtime parameter values" },
+                run_time_parameter_files: { type: "object", description: "Optional CSV parameters keyed by variable name, as data file IDs" }
+              },
+              required: ["protocol_id"]
+            }
+          },
+          {
+            name: "list_labware_offsets",
+            description: "List labware offsets stored on the robot (robot software 8.4+)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                definition_uri: { type: "string", description: "Only offsets for this labware (namespace/loadName/version)" },
+                slot: { type: "string", description: "Only offsets in this slot" }
+              }
+            }
+          },
+          {
+            name: "get_run_labware_offsets",
+            description: "Show the labware offsets a run uses and which loaded labware has no offset",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "apply_labware_offsets",
+            description: "Add labware offsets to a run that has not started yet",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" },
+                offsets: { type: "array", items: { type: "object" }, description: "Offsets as returned by get_run_labware_offsets: definitionUri, location {slotName, moduleModel?, definitionUri?}, vector {x, y, z}" },
+                file_path: { type: "string", description: "Read offsets from a file written by export_labware_offsets instead" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "copy_labware_offsets",
+            description: "Copy labware offsets into a new run from a previous run, by default the last succeeded run of the same protocol",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run to add the offsets to (must not have started)" },
+                from_run_id: { type: "string", description: "Run to copy from (defaults to the last succeeded run of the same protocol)" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "export_labware_offsets",
+            description: "Write labware offsets from a run, or the robot's stored offsets, to a JSON file",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                output_path: { type: "string", description: "File to write" },
+                run_id: { type: "string", description: "Export this run's offsets (defaults to the robot's stored offsets)" }
+              },
+              required: ["output_path"]
+            }
+          },
+          {
+            name: "import_labware_offsets",
+            description: "Load labware offsets from an exported JSON file into a run, or into the robot's stored offsets",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                file_path: { type: "string", description: "File written by export_labware_offsets" },
+                run_id: { type: "string", description: "Add the offsets to this run (defaults to the robot's stored offsets)" }
+              },
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "get_deck_configuration",
+            description: "Show the Flex deck configuration as an A1-D4 grid: slots, trash bins, waste chute, staging areas and module caddies",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" }
+              }
+            }
+          },
+          {
+            name: "set_deck_configuration",
+            description: "Change fixtures on the Flex deck configuration. Placement is validated before anything is saved",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                fixtures: { type: "object", description: "Cutout to fixture ID, e.g. {\"D3\": \"wasteChuteRightAdapterNoCover\", \"A3\": \"trashBinAdapter\", \"C3\": \"stagingAreaRightSlot\"}. Use \"slot\" for a plain slot. Other cutouts keep their current fixture" },
+                dry_run: { type: "boolean", description: "Only validate and show the result (default: false)" }
+              },
+              required: ["fixtures"]
+            }
+          },
+          {
+            name: "check_protocol_deck_compat",
+            description: "Compare the fixtures a Flex protocol's analysis needs with the robot's current deck configuration and list conflicts",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                protocol_id: { type: "string", description: "Protocol ID" },
+                analysis_id: { type: "string", description: "Analysis to check (defaults to the latest)" }
               },
-              required: ["robot_ip", "protocol_id"]
+              required: ["protocol_id"]
             }
           },
           {
@@ -154,11 +437,71 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 run_id: { type: "string", description: "Run ID to control" },
-                action: { type: "string", enum: ["play", "pause", "stop", "resume-from-recovery"], description: "Action to perform" }
+                action: { type: "string", enum: ["play", "pause", "stop", "resume-from-recovery", "resume-from-recovery-assuming-false-positive"], description: "Action to perform" }
+              },
+              required: ["run_id", "action"]
+            }
+          },
+          {
+            name: "get_recovery_state",
+            description: "Show why a run is awaiting recovery: the failed command, its error details, fixit commands sent so far and the recovery options",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "recover_run",
+            description: "Recover a run that is awaiting recovery: queue fixit commands (retry, new tips, custom) and then resume, resume assuming the step succeeded, or stop",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" },
+                strategy: {
+                  type: "string",
+                  enum: ["retry", "retry_new_tips", "manual_pickup", "manual_move", "skip", "cancel"],
+                  description: "How to recover (see get_recovery_state for the options that fit the failure)"
+                },
+                fixit_commands: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      commandType: { type: "string" },
+                      params: { type: "object" }
+                    },
+                    required: ["commandType"]
+                  },
+                  description: "Extra commands to run before the strategy's own, e.g. moveToAddressableAreaForDropTip then dropTipInPlace"
+                },
+                tip_well: { type: "string", description: "Well to pick up from for retry_new_tips, e.g. 'B1'" },
+                tip_labware_id: { type: "string", description: "Tip rack for retry_new_tips (defaults to the rack that failed)" },
+                resume: { type: "boolean", default: true, description: "Resume after the fixit commands; false leaves the run awaiting recovery" },
+                command_timeout: { type: "number", default: 60, description: "Seconds to wait for each fixit command" }
               },
-              required: ["robot_ip", "run_id", "action"]
+              required: ["run_id", "strategy"]
+            }
+          },
+          {
+            name: "error_recovery_settings",
+            description: "Read, or with 'enabled' update, whether recoverable errors pause runs for error recovery",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                enabled: { type: "boolean", description: "Turn error recovery on or off; omit to just read the settings" }
+              }
             }
           },
           {
@@ -167,9 +510,9 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" }
-              },
-              required: ["robot_ip"]
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" }
+              }
             }
           },
           {
@@ -178,10 +521,92 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 run_id: { type: "string", description: "Run ID to check" }
               },
-              required: ["robot_ip", "run_id"]
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "get_run_commands",
+            description: "Page through, filter and export a run's full command log with accurate completed/total counts",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" },
+                cursor: { type: "number", default: 0, description: "Position in the filtered results to start the page at" },
+                page_length: { type: "number", default: 50, description: "Number of commands per page" },
+                status: { type: "string", enum: ["queued", "running", "succeeded", "failed"], description: "Only commands with this status" },
+                command_type: {
+                  oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+                  description: "Only commands of this commandType (e.g., 'aspirate') or list of types"
+                },
+                since_index: { type: "number", default: 0, description: "Only commands at or after this command index" },
+                export_format: { type: "string", enum: ["jsonl", "csv"], description: "Return every matching command as JSON Lines or CSV instead of a page" },
+                output_path: { type: "string", description: "With export_format, write the log to this file instead of returning it" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "run_timeline",
+            description: "Timing analysis for a run: time per command type, slowest steps, idle gaps, pauses and estimated time remaining; optionally compare with another run",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID" },
+                compare_run_id: { type: "string", description: "Second run of the same protocol to line up against run_id" },
+                top: { type: "number", default: 10, description: "How many slowest steps, gaps or differences to list" },
+                gap_threshold: { type: "number", default: 5, description: "Minimum idle time between commands to report, in seconds" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "run_protocol",
+            description: "Upload a protocol, wait for analysis to pass, create a run, start it and optionally wait for it to finish - one consolidated report",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                file_path: { type: "string", description: "Path to protocol file (.py or .json)" },
+                support_files: { type: "array", items: { type: "string" }, description: "Paths to support files (custom labware, data files)" },
+                labware_definitions: { type: "array", items: { type: "string" }, description: "Paths to custom labware definition JSON files; validated before upload. Definitions next to the protocol are found automatically" },
+                protocol_kind: { type: "string", enum: ["standard", "quick-transfer"], default: "standard" },
+                key: { type: "string", description: "Optional client tracking key (~100 chars)" },
+                run_time_parameters: { type: "object", description: "Optional runtime parameter values" },
+                skip_lint: { type: "boolean", default: false, description: "Continue even if lint_protocol finds errors" },
+                wait_for_completion: { type: "boolean", default: true, description: "Wait for the run to finish before returning" },
+                analysis_timeout: { type: "number", default: 300, description: "Maximum time to wait for protocol analysis, in seconds" },
+                timeout: { type: "number", default: 3600, description: "Maximum time to wait for the run, in seconds" }
+              },
+              required: ["file_path"]
+            }
+          },
+          {
+            name: "wait_for_run",
+            description: "Wait until a run reaches a given state (succeeded, failed, stopped, awaiting-recovery, paused), sending progress notifications along the way",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run ID to wait for" },
+                until: {
+                  type: "array",
+                  items: { type: "string", enum: ["succeeded", "failed", "stopped", "awaiting-recovery", "paused"] },
+                  description: "States to stop waiting at (default: all of them). Succeeded, failed and stopped always end the wait"
+                },
+                timeout: { type: "number", default: 3600, description: "Maximum time to wait, in seconds" },
+                poll_interval: { type: "number", default: 3, description: "Seconds between status checks" }
+              },
+              required: ["run_id"]
             }
           },
           {
@@ -190,9 +615,9 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" }
-              },
-              required: ["robot_ip"]
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" }
+              }
             }
           },
           {
@@ -201,10 +626,37 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 on: { type: "boolean", description: "True to turn lights on, false to turn off" }
               },
-              required: ["robot_ip", "on"]
+              required: ["on"]
+            }
+          },
+          {
+            name: "update_module_firmware",
+            description: "Update module firmware where an update is available, then wait for each module to come back with the new version. Refused while a run is active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number, or \"all\" for every module with an update (default: all)" },
+                timeout: { type: "number", description: "Maximum wait per module in seconds (default: 600)" }
+              }
+            }
+          },
+          {
+            name: "update_subsystem_firmware",
+            description: "Update Flex subsystem firmware (gantry, head, pipettes, gripper and other boards) where an update is needed, polling each to completion. Refused while a run is active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                subsystem: { type: "string", description: "Subsystem name such as gantry_x, head, pipette_left, gripper, or \"all\" (default: all)" },
+                timeout: { type: "number", description: "Maximum wait per subsystem in seconds (default: 900)" }
+              }
             }
           },
           {
@@ -213,60 +665,386 @@ class OpentronsMCP {
             inputSchema: {
               type: "object",
               properties: {
-                robot_ip: { type: "string", description: "Robot IP address" },
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
                 target: { type: "string", enum: ["robot", "pipette"], default: "robot", description: "What to home" },
                 mount: { type: "string", enum: ["left", "right"], description: "Which mount (required if target is 'pipette')" }
+              }
+            }
+          },
+          {
+            name: "get_instruments",
+            description: "List the pipettes on the left and right mounts and the Flex gripper, with model, channels, volume range, serial, firmware and calibration",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" }
+              }
+            }
+          },
+          {
+            name: "check_protocol_instruments",
+            description: "Compare the pipettes (and gripper) a protocol's analysis loads with what is attached, catching mount mismatches before a run",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                protocol_id: { type: "string", description: "Protocol ID" },
+                analysis_id: { type: "string", description: "Analysis to check (defaults to the latest)" }
               },
-              required: ["robot_ip"]
+              required: ["protocol_id"]
             }
           },
           {
-            name: "poll_error_endpoint_and_fix",
-            description: "Fetch specific JSON error report and automatically fix protocols",
+            name: "calibration_report",
+            description: "Report deck, pipette offset, tip length and gripper calibration with timestamps, flag stale, bad or missing calibrations, and name the maintenance run type that fixes each",
             inputSchema: {
               type: "object",
               properties: {
-                json_filename: { type: "string", default: "error_report_20250622_124746.json", description: "Name of JSON file to fetch" },
-                original_protocol_path: { type: "string", default: "/Users/gene/Developer/failed-protocol-5.py", description: "Path to original protocol file" }
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                stale_days: { type: "number", description: "Flag calibrations older than this many days (default: 90)" }
               }
             }
-          }
-        ]
-      };
-    });
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      switch (name) {
-        case "search_endpoints":
-          return this.searchEndpoints(args);
-        case "get_endpoint_details":
-          return this.getEndpointDetails(args);
-        case "list_by_category":
-          return this.listByCategory(args);
-        case "get_api_overview":
-          return this.getApiOverview();
-        case "upload_protocol":
-          return this.uploadProtocol(args);
-        case "get_protocols":
-          return this.getProtocols(args);
-        case "create_run":
+          },
+          {
+            name: "list_modules",
+            description: "List attached modules with serial numbers, live status (temperatures, shaking, lid, magnets) and firmware",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" }
+              }
+            }
+          },
+          {
+            name: "control_heater_shaker",
+            description: "Heat, shake or open/close the latch of a Heater-Shaker Module. Sent as a stateless command, so no run may be active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number (needed only when more than one of this module is attached)" },
+                action: { type: "string", enum: ["set_temperature", "wait_for_temperature", "deactivate_heater", "shake", "stop_shaking", "open_latch", "close_latch"], description: "What to do" },
+                temperature: { type: "number", description: "Target °C for set_temperature (37-95)" },
+                rpm: { type: "number", description: "Speed for shake (200-3000). The latch must be closed" },
+                wait: { type: "boolean", description: "With set_temperature, wait until the temperature is reached (default: false)" },
+                timeout: { type: "number", description: "Maximum wait for each command in seconds (default: 600)" }
+              },
+              required: ["action"]
+            }
+          },
+          {
+            name: "control_temperature_module",
+            description: "Set, await or turn off the temperature of a Temperature Module. Sent as a stateless command, so no run may be active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number (needed only when more than one of this module is attached)" },
+                action: { type: "string", enum: ["set_temperature", "wait_for_temperature", "deactivate"], description: "What to do" },
+                temperature: { type: "number", description: "Target °C for set_temperature (4-95)" },
+                wait: { type: "boolean", description: "With set_temperature, wait until the temperature is reached (default: false)" },
+                timeout: { type: "number", description: "Maximum wait for each command in seconds (default: 600)" }
+              },
+              required: ["action"]
+            }
+          },
+          {
+            name: "control_thermocycler",
+            description: "Set block and lid temperatures, open/close the lid or run a temperature profile on a Thermocycler Module. Sent as a stateless command, so no run may be active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number (needed only when more than one of this module is attached)" },
+                action: { type: "string", enum: ["set_block_temperature", "set_lid_temperature", "wait_for_block_temperature", "wait_for_lid_temperature", "open_lid", "close_lid", "deactivate_block", "deactivate_lid", "run_profile"], description: "What to do" },
+                temperature: { type: "number", description: "Target °C (block 4-99, lid 37-110)" },
+                hold_time: { type: "number", description: "With set_block_temperature, seconds to hold the temperature" },
+                block_max_volume: { type: "number", description: "Largest well volume in µL, for accurate block temperatures" },
+                wait: { type: "boolean", description: "With set_*_temperature, wait until the temperature is reached (default: false)" },
+                profile: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      temperature: { type: "number", description: "Step °C" },
+                      hold_time: { type: "number", description: "Step hold in seconds" }
+                    },
+                    required: ["temperature", "hold_time"]
+                  },
+                  description: "Steps for run_profile"
+                },
+                repetitions: { type: "number", description: "Times to repeat the profile (default: 1)" },
+                timeout: { type: "number", description: "Maximum wait for each command in seconds (default: 600; for run_profile, the total hold time plus a minute per step)" }
+              },
+              required: ["action"]
+            }
+          },
+          {
+            name: "control_magnetic_module",
+            description: "Engage or disengage the magnets of a Magnetic Module GEN1/GEN2. The Flex Magnetic Block is unpowered and has nothing to control",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number (needed only when more than one of this module is attached)" },
+                action: { type: "string", enum: ["engage", "disengage"], description: "What to do" },
+                height: { type: "number", description: "For engage, magnet height in mm above the labware base" },
+                timeout: { type: "number", description: "Maximum wait for each command in seconds (default: 600)" }
+              },
+              required: ["action"]
+            }
+          },
+          {
+            name: "control_absorbance_reader",
+            description: "Open/close the lid, configure wavelengths and read a plate on an Absorbance Plate Reader. Sent as a stateless command, so no run may be active",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                serial: { type: "string", description: "Module serial number (needed only when more than one of this module is attached)" },
+                action: { type: "string", enum: ["open_lid", "close_lid", "initialize", "read"], description: "What to do. initialize must come before read" },
+                wavelengths: { type: "array", items: { type: "number" }, description: "For initialize, sample wavelengths in nm (one, or up to six)" },
+                reference_wavelength: { type: "number", description: "For initialize with a single wavelength, reference wavelength in nm" },
+                file_name: { type: "string", description: "For read, save the results on the robot under this name" },
+                timeout: { type: "number", description: "Maximum wait for each command in seconds (default: 600)" }
+              },
+              required: ["action"]
+            }
+          },
+          {
+            name: "call_endpoint",
+            description: "Call any catalogued Opentrons HTTP API endpoint on a robot, validated against the endpoint catalog",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                method: { type: "string", enum: ["GET", "POST", "PUT", "DELETE", "PATCH"], description: "HTTP method" },
+                path: { type: "string", description: "Endpoint path, either the catalog template (e.g., '/runs/{run_id}') or a concrete path" },
+                path_params: { type: "object", description: "Values for templated path segments (e.g., {\"run_id\": \"abc123\"})" },
+                query: { type: "object", description: "Query string parameters" },
+                body: { type: "object", description: "JSON request body" },
+                confirm: { type: "boolean", default: false, description: "Must be true to call destructive endpoints (resets, restarts, deletes)" }
+              },
+              required: ["method", "path"]
+            }
+          },
+          {
+            name: "list_robots",
+            description: "List robots in the registry and show which one is the default",
+            inputSchema: {
+              type: "object",
+              properties: {},
+              additionalProperties: false
+            }
+          },
+          {
+            name: "add_robot",
+            description: "Register a named robot (or update an existing one) so tools can refer to it by name",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: { type: "string", description: "Robot name (e.g., 'flex-bay-2')" },
+                host: { type: "string", description: "Robot IP address or hostname" },
+                port: { type: "number", default: 31950, description: "HTTP API port" },
+                model: { type: "string", enum: ["Flex", "OT-2"], description: "Robot model" },
+                tags: { type: "array", items: { type: "string" }, description: "Free-form tags (e.g., lab bay, assay)" },
+                make_default: { type: "boolean", default: false, description: "Use this robot when a tool is called without one" }
+              },
+              required: ["name", "host"]
+            }
+          },
+          {
+            name: "remove_robot",
+            description: "Remove a named robot from the registry",
+            inputSchema: {
+              type: "object",
+              properties: {
+                name: { type: "string", description: "Robot name to remove" }
+              },
+              required: ["name"]
+            }
+          },
+          {
+            name: "discover_robots",
+            description: "Find Opentrons robots on the local network via mDNS and an optional subnet sweep of /health",
+            inputSchema: {
+              type: "object",
+              properties: {
+                mdns: { type: "boolean", default: true, description: "Browse mDNS _http._tcp advertisements" },
+                subnet: { type: "string", description: "Optional subnet to sweep (e.g., '192.168.1.0/24', /22 or smaller)" },
+                hosts: { type: "array", items: { type: "string" }, description: "Extra addresses to probe (IP or host:port)" },
+                port: { type: "number", default: 31950, description: "Robot HTTP API port" },
+                timeout_ms: { type: "number", default: 3000, description: "How long to listen for mDNS responses, in milliseconds" }
+              }
+            }
+          },
+          {
+            name: "generate_continuation_protocol",
+            description: "Work out what a stopped or failed run already did (tips used, liquid moved) and generate a protocol that continues from where it stopped",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run that stopped partway" },
+                protocol_path: { type: "string", description: "Local path of the original protocol source; without it only the progress summary is returned" },
+                output_path: { type: "string", description: "Write the continuation protocol to this file instead of including its full source" },
+                validate: { type: "boolean", default: true, description: "Check the continuation by uploading it as a temporary protocol and waiting for the robot's analysis" },
+                max_repair_attempts: { type: "number", default: 2, description: "How many times to send validation errors back to the model for another try" },
+                analysis_timeout: { type: "number", default: 120, description: "Seconds to wait for each analysis" }
+              },
+              required: ["run_id"]
+            }
+          },
+          {
+            name: "diagnose_and_stop",
+            description: "Diagnose a failed or misbehaving run: stop it if still active, build an error report from the run (or load one from a URL or file), and optionally generate a fixed protocol",
+            inputSchema: {
+              type: "object",
+              properties: {
+                robot: { type: "string", description: "Robot name from the registry or IP address (defaults to the default robot)" },
+                robot_ip: { type: "string", description: "Deprecated alias for robot" },
+                run_id: { type: "string", description: "Run to diagnose (defaults to the robot's current run, else the most recent)" },
+                error_source: { type: "string", default: "run", description: "'run' to use the run's own errors and commands, or a URL or local file path of an external error report" },
+                protocol_path: { type: "string", description: "Local path of the protocol source, needed to generate a fix" },
+                protocol_id: { type: "string", description: "Protocol ID on the robot (defaults to the run's protocol)" },
+                stop: { type: "boolean", default: true, description: "Stop the run if it is still active" },
+                generate_fix: { type: "boolean", default: true, description: "Generate a fixed protocol when protocol_path is given" },
+                validate_fix: { type: "boolean", default: true, description: "Check the fix by uploading it as a temporary protocol and waiting for the robot's analysis" },
+                max_repair_attempts: { type: "number", default: 2, description: "How many times to send validation errors back to the model for another try" },
+                analysis_timeout: { type: "number", default: 120, description: "Seconds to wait for each analysis" },
+                output_path: { type: "string", description: "Write the fixed protocol to this file instead of including its full source" }
+              }
+            }
+          }
+        ]
+      };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+
+      switch (name) {
+        case "search_endpoints":
+          return this.searchEndpoints(args);
+        case "get_endpoint_details":
+          return this.getEndpointDetails(args);
+        case "list_by_category":
+          return this.listByCategory(args);
+        case "get_api_overview":
+          return this.getApiOverview(args);
+        case "diff_api_versions":
+          return this.diffApiVersions(args);
+        case "upload_protocol":
+          return this.uploadProtocol(args);
+        case "lint_protocol":
+          return this.lintProtocol(args);
+        case "validate_labware_definition":
+          return this.validateLabwareDefinitionTool(args);
+        case "list_protocol_labware":
+          return this.listProtocolLabware(args);
+        case "get_labware_geometry":
+          return this.getLabwareGeometry(args);
+        case "get_protocols":
+          return this.getProtocols(args);
+        case "get_protocol_analysis":
+          return this.getProtocolAnalysis(args);
+        case "analyze_with_parameters":
+          return this.analyzeWithParameters(args);
+        case "create_run":
           return this.createRun(args);
+        case "list_labware_offsets":
+          return this.listLabwareOffsets(args);
+        case "get_run_labware_offsets":
+          return this.getRunLabwareOffsets(args);
+        case "apply_labware_offsets":
+          return this.applyLabwareOffsets(args);
+        case "copy_labware_offsets":
+          return this.copyLabwareOffsets(args);
+        case "export_labware_offsets":
+          return this.exportLabwareOffsets(args);
+        case "import_labware_offsets":
+          return this.importLabwareOffsets(args);
+        case "get_deck_configuration":
+          return this.getDeckConfiguration(args);
+        case "set_deck_configuration":
+          return this.setDeckConfiguration(args);
+        case "check_protocol_deck_compat":
+          return this.checkProtocolDeckCompat(args);
         case "control_run":
           return this.controlRun(args);
+        case "get_recovery_state":
+          return this.getRecoveryState(args);
+        case "recover_run":
+          return this.recoverRun(args);
+        case "error_recovery_settings":
+          return this.errorRecoverySettings(args);
         case "get_runs":
           return this.getRuns(args);
         case "get_run_status":
           return this.getRunStatus(args);
+        case "run_protocol":
+          return this.runProtocol(args, this.createProgressReporter(request, extra), extra?.signal);
+        case "get_run_commands":
+          return this.getRunCommands(args);
+        case "run_timeline":
+          return this.runTimeline(args);
+        case "wait_for_run":
+          return this.waitForRun(args, this.createProgressReporter(request, extra), extra?.signal);
         case "robot_health":
           return this.robotHealth(args);
         case "control_lights":
           return this.controlLights(args);
+        case "get_instruments":
+          return this.getInstruments(args);
+        case "check_protocol_instruments":
+          return this.checkProtocolInstruments(args);
+        case "calibration_report":
+          return this.calibrationReport(args);
+        case "list_modules":
+          return this.listModules(args);
+        case "control_heater_shaker":
+          return this.controlHeaterShaker(args);
+        case "control_temperature_module":
+          return this.controlTemperatureModule(args);
+        case "control_thermocycler":
+          return this.controlThermocycler(args);
+        case "control_magnetic_module":
+          return this.controlMagneticModule(args);
+        case "control_absorbance_reader":
+          return this.controlAbsorbanceReader(args);
+        case "update_module_firmware":
+          return this.updateModuleFirmware(args, this.createProgressReporter(request, extra), extra?.signal);
+        case "update_subsystem_firmware":
+          return this.updateSubsystemFirmware(args, this.createProgressReporter(request, extra), extra?.signal);
         case "home_robot":
           return this.homeRobot(args);
+        case "call_endpoint":
+          return this.callEndpoint(args);
+        case "list_robots":
+          return this.listRobots();
+        case "add_robot":
+          return this.addRobot(args);
+        case "remove_robot":
+          return this.removeRobot(args);
+        case "discover_robots":
+          return this.discoverRobots(args);
+        case "generate_continuation_protocol":
+          return this.generateContinuationProtocol(args);
+        case "diagnose_and_stop":
         case "poll_error_endpoint_and_fix":
-          return this.pollErrorEndpointAndFix(args);
+          return this.diagnoseAndStop(args);
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
@@ -410,7 +1188,8 @@ class OpentronsMCP {
         path: "/wifi/disconnect",
         summary: "Disconnect from Wi-Fi",
         description: "Deactivates Wi-Fi connection and removes it from known connections",
-        tags: ["Networking"]
+        tags: ["Networking"],
+        destructive: true
       },
 
       // Robot Control
@@ -545,7 +1324,8 @@ class OpentronsMCP {
         path: "/settings/reset",
         summary: "Reset settings or data",
         description: "Perform reset of requested robot settings or data. Always restart robot after using this endpoint",
-        tags: ["Settings"]
+        tags: ["Settings"],
+        destructive: true
       },
 
       // Pipettes & Instruments
@@ -656,6 +1436,52 @@ class OpentronsMCP {
         ]
       },
 
+      // Subsystems (Flex)
+      {
+        method: "GET",
+        path: "/subsystems/status",
+        summary: "Get subsystem status",
+        description: "Get firmware versions and update status of the Flex's gantry, head, pipette, gripper and other boards. Flex only",
+        tags: ["Subsystem Management"]
+      },
+      {
+        method: "POST",
+        path: "/subsystems/updates/{subsystem}",
+        summary: "Start subsystem update",
+        description: "Start a firmware update of one subsystem. Flex only",
+        tags: ["Subsystem Management"],
+        parameters: [
+          {
+            name: "subsystem",
+            in: "path",
+            required: true,
+            description: "Subsystem name, e.g. gantry_x, head, pipette_left, gripper"
+          }
+        ]
+      },
+      {
+        method: "GET",
+        path: "/subsystems/updates/current",
+        summary: "Get ongoing subsystem updates",
+        description: "List subsystem firmware updates that are still running. Flex only",
+        tags: ["Subsystem Management"]
+      },
+      {
+        method: "GET",
+        path: "/subsystems/updates/all/{id}",
+        summary: "Get subsystem update",
+        description: "Get the status and progress of a subsystem firmware update. Flex only",
+        tags: ["Subsystem Management"],
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            description: "Update ID"
+          }
+        ]
+      },
+
       // Protocol Management
       {
         method: "GET",
@@ -845,6 +1671,40 @@ class OpentronsMCP {
           description: "Command to execute"
         }
       },
+      {
+        method: "POST",
+        path: "/runs/{run_id}/labware_definitions",
+        summary: "Add labware definition to run",
+        description: "Add a custom labware definition to a run so setup commands can load it",
+        tags: ["Run Management"],
+        parameters: [
+          {
+            name: "run_id",
+            in: "path",
+            required: true,
+            description: "Run ID"
+          }
+        ],
+        requestBody: {
+          required: true,
+          description: "Labware definition (schema 2) wrapped in data"
+        }
+      },
+      {
+        method: "GET",
+        path: "/runs/{run_id}/loaded_labware_definitions",
+        summary: "Get loaded labware definitions",
+        description: "Get the definitions of all labware loaded in a run, including custom labware",
+        tags: ["Run Management"],
+        parameters: [
+          {
+            name: "run_id",
+            in: "path",
+            required: true,
+            description: "Run ID"
+          }
+        ]
+      },
       {
         method: "POST",
         path: "/runs/{run_id}/actions",
@@ -867,7 +1727,7 @@ class OpentronsMCP {
               properties: {
                 actionType: {
                   type: "string",
-                  enum: ["play", "pause", "stop", "resume-from-recovery"],
+                  enum: ["play", "pause", "stop", "resume-from-recovery", "resume-from-recovery-assuming-false-positive"],
                   description: "Action to perform on the run"
                 }
               }
@@ -949,6 +1809,33 @@ class OpentronsMCP {
           description: "Command to execute"
         }
       },
+      {
+        method: "GET",
+        path: "/commands/{command_id}",
+        summary: "Get simple command",
+        description: "Get a simple command's status and result, optionally waiting for it to finish",
+        tags: ["Simple Commands"],
+        parameters: [
+          {
+            name: "command_id",
+            in: "path",
+            required: true,
+            description: "Command ID"
+          },
+          {
+            name: "waitUntilComplete",
+            in: "query",
+            description: "Wait for the command to finish before responding",
+            schema: { type: "boolean", default: false }
+          },
+          {
+            name: "timeout",
+            in: "query",
+            description: "With waitUntilComplete, the longest to wait in milliseconds",
+            schema: { type: "integer" }
+          }
+        ]
+      },
 
       // Data Files
       {
@@ -1008,6 +1895,20 @@ class OpentronsMCP {
         description: "Get current calibration status for deck and instruments",
         tags: ["Deck Calibration"]
       },
+      {
+        method: "GET",
+        path: "/calibration/pipette_offset",
+        summary: "Get pipette offset calibrations",
+        description: "List stored pipette offset calibrations by pipette serial and mount. OT-2 only; Flex reports them in GET /instruments",
+        tags: ["Calibration"]
+      },
+      {
+        method: "GET",
+        path: "/calibration/tip_length",
+        summary: "Get tip length calibrations",
+        description: "List stored tip length calibrations by pipette serial and tip rack. OT-2 only",
+        tags: ["Calibration"]
+      },
       {
         method: "GET",
         path: "/labwareOffsets",
@@ -1020,7 +1921,45 @@ class OpentronsMCP {
         path: "/labwareOffsets",
         summary: "Create labware offset",
         description: "Add new labware offset calibration data",
-        tags: ["Labware Offset Management"]
+        tags: ["Labware Offset Management"],
+        requestBody: {
+          required: true,
+          description: "Offset with definitionUri, locationSequence and vector, wrapped in data"
+        }
+      },
+      {
+        method: "DELETE",
+        path: "/labwareOffsets/{offset_id}",
+        summary: "Delete labware offset",
+        description: "Delete a stored labware offset",
+        tags: ["Labware Offset Management"],
+        parameters: [
+          {
+            name: "offset_id",
+            in: "path",
+            required: true,
+            description: "Offset ID"
+          }
+        ]
+      },
+      {
+        method: "POST",
+        path: "/runs/{run_id}/labware_offsets",
+        summary: "Add labware offset to run",
+        description: "Add a labware offset to a run before it starts",
+        tags: ["Labware Offset Management"],
+        parameters: [
+          {
+            name: "run_id",
+            in: "path",
+            required: true,
+            description: "Run ID"
+          }
+        ],
+        requestBody: {
+          required: true,
+          description: "Offset with definitionUri, location and vector, wrapped in data"
+        }
       },
 
       // System Control
@@ -1043,7 +1982,8 @@ class OpentronsMCP {
         path: "/system/restart",
         summary: "Restart robot",
         description: "Restart the robot system",
-        tags: ["System Control"]
+        tags: ["System Control"],
+        destructive: true
       },
 
       // Motor Control
@@ -1097,7 +2037,11 @@ class OpentronsMCP {
         path: "/deck_configuration",
         summary: "Update deck configuration",
         description: "Update deck configuration. Flex only",
-        tags: ["Flex Deck Configuration"]
+        tags: ["Flex Deck Configuration"],
+        requestBody: {
+          required: true,
+          description: "Complete list of cutoutFixtures (cutoutId, cutoutFixtureId, opentronsModuleSerialNumber), wrapped in data"
+        }
       },
 
       // Error Recovery
@@ -1113,7 +2057,18 @@ class OpentronsMCP {
         path: "/errorRecovery/settings",
         summary: "Update error recovery settings",
         description: "Update error recovery policy settings",
-        tags: ["Error Recovery Settings"]
+        tags: ["Error Recovery Settings"],
+        requestBody: {
+          required: true,
+          properties: {
+            data: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean", description: "Whether recoverable errors pause the run for recovery" }
+              }
+            }
+          }
+        }
       },
 
       // Client Data
@@ -1179,29 +2134,390 @@ class OpentronsMCP {
     ];
   }
 
-  searchEndpoints(args) {
-    const { query, method, tag, include_deprecated = false } = args;
+  getCacheDir() {
+    return process.env.OPENTRONS_MCP_CACHE_DIR || path.join(os.homedir(), '.opentrons-mcp', 'cache');
+  }
 
-    let filtered = this.endpoints.filter(endpoint => {
-      // Filter deprecated endpoints
-      if (!include_deprecated && endpoint.deprecated) return false;
+  // Resolve the catalog a documentation tool should search. With a robot the catalog is
+  // built from the robot's live /openapi spec, cached on disk per robot software version;
+  // without one, or if the robot can't be reached, the bundled endpoint list is used.
+  async getEndpointCatalog(robotRef, refresh = false) {
+    if (!robotRef) {
+      return { endpoints: this.endpoints, source: 'bundled catalog' };
+    }
 
-      // Filter by method
-      if (method && endpoint.method !== method.toUpperCase()) return false;
+    let robot = null;
+    try {
+      robot = typeof robotRef === 'string' ? this.resolveRobot({ robot: robotRef }) : robotRef;
+      const health = await this.makeApiRequest('GET', `${robot.baseUrl}/health`);
+      const version = health.api_version || 'unknown';
 
-      // Filter by tag
-      if (tag && !endpoint.tags.some(t =>
-        t.toLowerCase().includes(tag.toLowerCase())
-      )) return false;
+      if (!refresh && this.openApiCatalogs.has(version)) {
+        return { endpoints: this.openApiCatalogs.get(version), source: `robot software ${version} (live spec)`, version };
+      }
 
-      // Search in multiple fields
-      const searchText = query.toLowerCase();
-      return (
-        endpoint.summary.toLowerCase().includes(searchText) ||
-        endpoint.description.toLowerCase().includes(searchText) ||
-        endpoint.path.toLowerCase().includes(searchText) ||
-        endpoint.tags.some(t => t.toLowerCase().includes(searchText)) ||
-        (endpoint.operationId && endpoint.operationId.toLowerCase().includes(searchText))
+      const cacheFile = this.getSnapshotFile(version);
+      let spec = null;
+      let cached = false;
+
+      if (!refresh && fs.existsSync(cacheFile)) {
+        try {
+          spec = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+          cached = true;
+        } catch (parseError) {
+          console.error(`⚠️ Ignoring unreadable OpenAPI cache ${cacheFile}: ${parseError.message}`);
+        }
+      }
+
+      if (!spec) {
+        spec = await this.makeApiRequest('GET', `${robot.baseUrl}/openapi`);
+        try {
+          fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+          fs.writeFileSync(cacheFile, JSON.stringify(spec));
+        } catch (writeError) {
+          console.error(`⚠️ Could not cache OpenAPI spec to ${cacheFile}: ${writeError.message}`);
+        }
+      }
+
+      const endpoints = this.parseOpenApiSpec(spec);
+      if (endpoints.length === 0) {
+        throw new Error('OpenAPI spec contains no endpoints');
+      }
+
+      this.openApiCatalogs.set(version, endpoints);
+      return { endpoints, source: `robot software ${version} (${cached ? 'cached' : 'live'} spec)`, version };
+    } catch (error) {
+      console.error(`⚠️ Falling back to bundled catalog for ${robot ? robot.name : robotRef}: ${error.message}`);
+      return { endpoints: this.endpoints, source: `bundled catalog (robot spec unavailable: ${error.message})` };
+    }
+  }
+
+  getSnapshotFile(version) {
+    return path.join(this.getCacheDir(), 'openapi', `${version.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  // Robot software versions with a cached OpenAPI snapshot, oldest first
+  listCatalogSnapshots() {
+    const dir = path.join(this.getCacheDir(), 'openapi');
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort((a, b) => this.compareVersions(a, b));
+  }
+
+  loadCatalogSnapshot(version) {
+    if (version === 'bundled') {
+      return this.endpoints;
+    }
+    if (this.openApiCatalogs.has(version)) {
+      return this.openApiCatalogs.get(version);
+    }
+
+    const snapshotFile = this.getSnapshotFile(version);
+    if (!fs.existsSync(snapshotFile)) {
+      const available = this.listCatalogSnapshots();
+      throw new Error(`No catalog snapshot for robot software ${version}. ` +
+        `Available: ${available.length > 0 ? available.join(', ') : 'none'} (plus "bundled"). ` +
+        `Run a documentation tool with robot pointing at a robot on ${version} to record one.`);
+    }
+
+    const endpoints = this.parseOpenApiSpec(JSON.parse(fs.readFileSync(snapshotFile, 'utf8')));
+    this.openApiCatalogs.set(version, endpoints);
+    return endpoints;
+  }
+
+  compareVersions(a, b) {
+    const partsA = String(a).split(/[.+-]/).map(part => parseInt(part, 10));
+    const partsB = String(b).split(/[.+-]/).map(part => parseInt(part, 10));
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const numA = Number.isNaN(partsA[i]) || partsA[i] === undefined ? 0 : partsA[i];
+      const numB = Number.isNaN(partsB[i]) || partsB[i] === undefined ? 0 : partsB[i];
+      if (numA !== numB) return numA - numB;
+    }
+    return String(a).localeCompare(String(b));
+  }
+
+  // Field-level differences between two versions of the same endpoint
+  describeSchemaChanges(before, after) {
+    const changes = [];
+    const paramKey = param => `${param.name} (${param.in})`;
+    const beforeParams = new Map((before.parameters || []).map(p => [paramKey(p), p]));
+    const afterParams = new Map((after.parameters || []).map(p => [paramKey(p), p]));
+
+    afterParams.forEach((param, key) => {
+      if (!beforeParams.has(key)) {
+        changes.push(`parameter added: ${key}${param.required ? ' *required*' : ''}`);
+      } else if (!!beforeParams.get(key).required !== !!param.required) {
+        changes.push(`parameter ${key} is now ${param.required ? 'required' : 'optional'}`);
+      } else if ((beforeParams.get(key).schema?.type || null) !== (param.schema?.type || null)) {
+        changes.push(`parameter ${key} type changed: ${beforeParams.get(key).schema?.type || 'any'} → ${param.schema?.type || 'any'}`);
+      }
+    });
+    beforeParams.forEach((param, key) => {
+      if (!afterParams.has(key)) changes.push(`parameter removed: ${key}`);
+    });
+
+    const beforeBody = before.requestBody?.properties || {};
+    const afterBody = after.requestBody?.properties || {};
+    if (!!before.requestBody !== !!after.requestBody) {
+      changes.push(after.requestBody ? 'request body added' : 'request body removed');
+    }
+    Object.keys(afterBody).forEach(key => {
+      if (!(key in beforeBody)) {
+        changes.push(`body field added: ${key}`);
+      } else if ((beforeBody[key].type || null) !== (afterBody[key].type || null)) {
+        changes.push(`body field ${key} type changed: ${beforeBody[key].type || 'object'} → ${afterBody[key].type || 'object'}`);
+      }
+    });
+    Object.keys(beforeBody).forEach(key => {
+      if (!(key in afterBody)) changes.push(`body field removed: ${key}`);
+    });
+
+    const beforeCodes = Object.keys(before.responses || {});
+    const afterCodes = Object.keys(after.responses || {});
+    const addedCodes = afterCodes.filter(code => !beforeCodes.includes(code));
+    const removedCodes = beforeCodes.filter(code => !afterCodes.includes(code));
+    if (addedCodes.length > 0) changes.push(`response codes added: ${addedCodes.join(', ')}`);
+    if (removedCodes.length > 0) changes.push(`response codes removed: ${removedCodes.join(', ')}`);
+
+    return changes;
+  }
+
+  // When the endpoint first appeared, was deprecated, or disappeared across recorded snapshots
+  getEndpointHistory(method, apiPath) {
+    const history = [];
+    let previous = null;
+
+    this.listCatalogSnapshots().forEach(version => {
+      let endpoints;
+      try {
+        endpoints = this.loadCatalogSnapshot(version);
+      } catch (error) {
+        return;
+      }
+      const current = endpoints.find(e => e.method === method && e.path === apiPath) || null;
+
+      if (current && !previous) {
+        history.push(`${version}: ${history.length === 0 ? 'first seen' : 're-added'}`);
+      } else if (!current && previous) {
+        history.push(`${version}: removed`);
+      } else if (current && previous) {
+        if (current.deprecated && !previous.deprecated) history.push(`${version}: deprecated`);
+        this.describeSchemaChanges(previous, current).forEach(change => history.push(`${version}: ${change}`));
+      }
+      previous = current;
+    });
+
+    return history;
+  }
+
+  async diffApiVersions(args) {
+    const { from, to } = args;
+
+    try {
+      const fromEndpoints = this.loadCatalogSnapshot(from);
+      const toEndpoints = this.loadCatalogSnapshot(to);
+      const key = e => `${e.method} ${e.path}`;
+      const fromMap = new Map(fromEndpoints.map(e => [key(e), e]));
+      const toMap = new Map(toEndpoints.map(e => [key(e), e]));
+
+      const added = toEndpoints.filter(e => !fromMap.has(key(e)));
+      const removed = fromEndpoints.filter(e => !toMap.has(key(e)));
+      const deprecated = toEndpoints.filter(e => fromMap.has(key(e)) && e.deprecated && !fromMap.get(key(e)).deprecated);
+      const changed = toEndpoints
+        .filter(e => fromMap.has(key(e)))
+        .map(e => ({ endpoint: e, changes: this.describeSchemaChanges(fromMap.get(key(e)), e) }))
+        .filter(entry => entry.changes.length > 0);
+
+      let diffText = `# API Diff: ${from} → ${to}\n\n`;
+      diffText += `**Endpoints:** ${fromEndpoints.length} → ${toEndpoints.length}\n`;
+      diffText += `**Added:** ${added.length} | **Removed:** ${removed.length} | **Newly Deprecated:** ${deprecated.length} | **Schema Changed:** ${changed.length}\n\n`;
+
+      if (added.length > 0) {
+        diffText += `## Added\n\n`;
+        added.forEach(e => {
+          diffText += `- **${e.method} ${e.path}** - ${e.summary}\n`;
+        });
+        diffText += '\n';
+      }
+
+      if (removed.length > 0) {
+        diffText += `## Removed\n\n`;
+        removed.forEach(e => {
+          diffText += `- **${e.method} ${e.path}** - ${e.summary}\n`;
+        });
+        diffText += '\n';
+      }
+
+      if (deprecated.length > 0) {
+        diffText += `## Newly Deprecated\n\n`;
+        deprecated.forEach(e => {
+          diffText += `- ⚠️ **${e.method} ${e.path}** - ${e.summary}\n`;
+        });
+        diffText += '\n';
+      }
+
+      if (changed.length > 0) {
+        diffText += `## Schema Changed\n\n`;
+        changed.forEach(({ endpoint, changes }) => {
+          diffText += `- **${endpoint.method} ${endpoint.path}**\n`;
+          changes.forEach(change => {
+            diffText += `  - ${change}\n`;
+          });
+        });
+        diffText += '\n';
+      }
+
+      if (added.length + removed.length + deprecated.length + changed.length === 0) {
+        diffText += `No differences found.\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: diffText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to diff API versions: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Convert an OpenAPI 3 document into the same entry shape as the bundled catalog
+  parseOpenApiSpec(spec) {
+    const resolve = (node, depth = 0) => {
+      if (!node || typeof node !== 'object' || depth > 10) return node || {};
+      if (node.$ref) {
+        const target = node.$ref.replace(/^#\//, '').split('/')
+          .reduce((acc, key) => (acc ? acc[key] : undefined), spec);
+        return resolve(target, depth + 1);
+      }
+      if (Array.isArray(node.allOf) && node.allOf.length === 1) {
+        const inner = resolve(node.allOf[0], depth + 1);
+        return { ...inner, description: node.description || inner.description };
+      }
+      return node;
+    };
+
+    const endpoints = [];
+    const methods = ['get', 'post', 'put', 'patch', 'delete'];
+
+    Object.entries(spec?.paths || {}).forEach(([apiPath, pathItem]) => {
+      methods.forEach(method => {
+        const operation = pathItem[method];
+        if (!operation) return;
+
+        const summary = operation.summary || operation.operationId || `${method.toUpperCase()} ${apiPath}`;
+        const endpoint = {
+          method: method.toUpperCase(),
+          path: apiPath,
+          summary,
+          description: operation.description || summary,
+          tags: operation.tags && operation.tags.length > 0 ? operation.tags : ['Other'],
+          operationId: operation.operationId
+        };
+
+        if (operation.deprecated) {
+          endpoint.deprecated = true;
+        }
+
+        // The Opentrons-Version header is always sent by makeApiRequest, so leave it out
+        const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+          .map(param => resolve(param))
+          .filter(param => param.name && param.name !== 'Opentrons-Version')
+          .map(param => ({
+            name: param.name,
+            in: param.in,
+            required: param.required || false,
+            description: param.description || resolve(param.schema).title || '',
+            schema: resolve(param.schema)
+          }));
+        if (parameters.length > 0) {
+          endpoint.parameters = parameters;
+        }
+
+        if (operation.requestBody) {
+          const requestBody = resolve(operation.requestBody);
+          const contentTypes = Object.keys(requestBody.content || {});
+          const schema = resolve(requestBody.content?.[contentTypes[0]]?.schema);
+          endpoint.requestBody = {
+            required: requestBody.required || false,
+            contentType: contentTypes[0],
+            description: requestBody.description || schema.description || `Content type: ${contentTypes.join(', ') || 'unknown'}`
+          };
+          if (schema.properties) {
+            endpoint.requestBody.properties = Object.fromEntries(
+              Object.entries(schema.properties).map(([key, prop]) => [key, resolve(prop)])
+            );
+          }
+        }
+
+        if (operation.responses && Object.keys(operation.responses).length > 0) {
+          endpoint.responses = Object.fromEntries(
+            Object.entries(operation.responses).map(([code, response]) => [code, resolve(response).description || ''])
+          );
+        }
+
+        endpoints.push(endpoint);
+      });
+    });
+
+    return endpoints;
+  }
+
+  async searchEndpoints(args) {
+    const { query, method, tag, include_deprecated = false, refresh = false, robot_version } = args;
+
+    let catalog;
+    if (robot_version) {
+      try {
+        catalog = { endpoints: this.loadCatalogSnapshot(robot_version), source: `robot software ${robot_version} (snapshot)` };
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `❌ ${error.message}`
+            }
+          ]
+        };
+      }
+    } else {
+      catalog = await this.getEndpointCatalog(args.robot || args.robot_ip, refresh);
+    }
+
+    let filtered = catalog.endpoints.filter(endpoint => {
+      // Filter deprecated endpoints
+      if (!include_deprecated && endpoint.deprecated) return false;
+
+      // Filter by method
+      if (method && endpoint.method !== method.toUpperCase()) return false;
+
+      // Filter by tag
+      if (tag && !endpoint.tags.some(t =>
+        t.toLowerCase().includes(tag.toLowerCase())
+      )) return false;
+
+      // Search in multiple fields
+      const searchText = query.toLowerCase();
+      return (
+        endpoint.summary.toLowerCase().includes(searchText) ||
+        endpoint.description.toLowerCase().includes(searchText) ||
+        endpoint.path.toLowerCase().includes(searchText) ||
+        endpoint.tags.some(t => t.toLowerCase().includes(searchText)) ||
+        (endpoint.operationId && endpoint.operationId.toLowerCase().includes(searchText))
       );
     });
 
@@ -1228,7 +2544,7 @@ class OpentronsMCP {
       content: [
         {
           type: "text",
-          text: `Found ${filtered.length} matching endpoints${filtered.length > 20 ? ' (showing first 20)' : ''}:\n\n` +
+          text: `Found ${filtered.length} matching endpoints${filtered.length > 20 ? ' (showing first 20)' : ''} in ${catalog.source}:\n\n` +
             results.map(r =>
               `**${r.method} ${r.path}** ${r.deprecated ? '⚠️ DEPRECATED' : ''}\n` +
               `${r.summary}\n` +
@@ -1239,10 +2555,11 @@ class OpentronsMCP {
     };
   }
 
-  getEndpointDetails(args) {
-    const { method, path } = args;
+  async getEndpointDetails(args) {
+    const { method, path, refresh = false } = args;
+    const catalog = await this.getEndpointCatalog(args.robot || args.robot_ip, refresh);
 
-    const endpoint = this.endpoints.find(
+    const endpoint = catalog.endpoints.find(
       e => e.method === method.toUpperCase() && e.path === path
     );
 
@@ -1251,7 +2568,7 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `Endpoint ${method.toUpperCase()} ${path} not found.`
+            text: `Endpoint ${method.toUpperCase()} ${path} not found in ${catalog.source}.`
           }
         ]
       };
@@ -1261,11 +2578,16 @@ class OpentronsMCP {
     details += `**Summary:** ${endpoint.summary}\n\n`;
     details += `**Description:** ${endpoint.description}\n\n`;
     details += `**Tags:** ${endpoint.tags.join(', ')}\n\n`;
+    details += `**Source:** ${catalog.source}\n\n`;
 
     if (endpoint.deprecated) {
       details += `⚠️ **DEPRECATED** - This endpoint is deprecated and may be removed in future versions\n\n`;
     }
 
+    if (this.isDestructiveEndpoint(endpoint)) {
+      details += `🛑 **DESTRUCTIVE** - \`call_endpoint\` requires \`confirm: true\` for this endpoint\n\n`;
+    }
+
     if (endpoint.parameters && endpoint.parameters.length > 0) {
       details += `## Parameters\n\n`;
       endpoint.parameters.forEach(param => {
@@ -1310,6 +2632,15 @@ class OpentronsMCP {
       details += '\n';
     }
 
+    const history = this.getEndpointHistory(endpoint.method, endpoint.path);
+    if (history.length > 0) {
+      details += `## Version History\n\n`;
+      history.forEach(entry => {
+        details += `- ${entry}\n`;
+      });
+      details += '\n';
+    }
+
     // Add usage context and related endpoints
     details += `## Usage Context\n\n`;
     if (endpoint.tags.includes('Health')) {
@@ -1334,15 +2665,16 @@ class OpentronsMCP {
     };
   }
 
-  listByCategory(args) {
-    const { category } = args;
+  async listByCategory(args) {
+    const { category, refresh = false } = args;
+    const catalog = await this.getEndpointCatalog(args.robot || args.robot_ip, refresh);
 
-    const filtered = this.endpoints.filter(endpoint =>
+    const filtered = catalog.endpoints.filter(endpoint =>
       endpoint.tags.some(tag => tag.toLowerCase().includes(category.toLowerCase()))
     );
 
     if (filtered.length === 0) {
-      const availableCategories = [...new Set(this.endpoints.flatMap(e => e.tags))];
+      const availableCategories = [...new Set(catalog.endpoints.flatMap(e => e.tags))];
       return {
         content: [
           {
@@ -1364,7 +2696,7 @@ class OpentronsMCP {
       });
     });
 
-    let content = `**${category} API Endpoints** (${filtered.length} found):\n\n`;
+    let content = `**${category} API Endpoints** (${filtered.length} found in ${catalog.source}):\n\n`;
 
     Object.entries(groupedByTag).forEach(([tag, endpoints]) => {
       content += `## ${tag}\n\n`;
@@ -1384,11 +2716,14 @@ class OpentronsMCP {
     };
   }
 
-  getApiOverview() {
-    const categories = [...new Set(this.endpoints.flatMap(e => e.tags))];
-    const totalEndpoints = this.endpoints.length;
-    const deprecatedCount = this.endpoints.filter(e => e.deprecated).length;
-    const methodCounts = this.endpoints.reduce((acc, e) => {
+  async getApiOverview(args = {}) {
+    const { refresh = false } = args;
+    const catalog = await this.getEndpointCatalog(args.robot || args.robot_ip, refresh);
+    const endpoints = catalog.endpoints;
+    const categories = [...new Set(endpoints.flatMap(e => e.tags))];
+    const totalEndpoints = endpoints.length;
+    const deprecatedCount = endpoints.filter(e => e.deprecated).length;
+    const methodCounts = endpoints.reduce((acc, e) => {
       acc[e.method] = (acc[e.method] || 0) + 1;
       return acc;
     }, {});
@@ -1397,6 +2732,7 @@ class OpentronsMCP {
     overview += `The Opentrons HTTP API provides comprehensive control over Opentrons Flex and OT-2 robots. This RESTful API runs on port 31950 and enables protocol execution, hardware control, calibration, and system management.\n\n`;
 
     overview += `## API Statistics\n\n`;
+    overview += `- **Catalog Source**: ${catalog.source}\n`;
     overview += `- **Total Endpoints**: ${totalEndpoints}\n`;
     overview += `- **Deprecated Endpoints**: ${deprecatedCount}\n`;
     overview += `- **HTTP Methods**: ${Object.entries(methodCounts).map(([method, count]) => `${method} (${count})`).join(', ')}\n\n`;
@@ -1419,11 +2755,12 @@ class OpentronsMCP {
       'System Control': 'System time, restart, low-level system operations',
       'Client Data': 'Store arbitrary key-value data on robot',
       'Flex Deck Configuration': 'Flex-specific deck setup and configuration',
-      'Error Recovery Settings': 'Configure error handling policies'
+      'Error Recovery Settings': 'Configure error handling policies',
+      'Subsystem Management': 'Flex board firmware versions and updates'
     };
 
     categories.forEach(category => {
-      const count = this.endpoints.filter(e => e.tags.includes(category)).length;
+      const count = endpoints.filter(e => e.tags.includes(category)).length;
       const description = categoryDescriptions[category] || 'Robot functionality';
       overview += `- **${category}** (${count} endpoints): ${description}\n`;
     });
@@ -1472,234 +2809,149 @@ class OpentronsMCP {
     };
   }
 
-  // Helper method for making API requests
-  async makeApiRequest(method, url, headers = {}, body = null) {
-    try {
-      const options = {
-        method,
-        headers: {
-          'Opentrons-Version': '*',
-          ...headers
-        }
-      };
-      
-      if (body) {
-        options.body = body;
-      }
-      
-      const response = await fetch(url, options);
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`API Error ${response.status}: ${data.message || JSON.stringify(data)}`);
-      }
-      
-      return data;
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to robot. Please check the IP address and ensure the robot is powered on.`);
-      }
-      throw error;
+  // Robot registry
+  //
+  // Robots are read from a JSON file (OPENTRONS_ROBOTS_FILE, default ~/.opentrons-mcp/robots.json)
+  // and from the OPENTRONS_ROBOTS environment variable, which holds the same JSON and wins on
+  // name clashes:
+  //   { "default": "flex-bay-2", "robots": { "flex-bay-2": { "host": "192.168.1.12", "port": 31950, "model": "Flex", "tags": ["bay-2"] } } }
+  getRobotsFile() {
+    return process.env.OPENTRONS_ROBOTS_FILE || path.join(os.homedir(), '.opentrons-mcp', 'robots.json');
+  }
+
+  readRobotsFile() {
+    const robotsFile = this.getRobotsFile();
+    if (!fs.existsSync(robotsFile)) {
+      return { default: null, robots: {} };
     }
+
+    const config = JSON.parse(fs.readFileSync(robotsFile, 'utf8'));
+    return { default: config.default || null, robots: config.robots || {} };
   }
 
-  // Automation tool methods
-  async uploadProtocol(args) {
-    const { robot_ip, file_path, support_files = [], protocol_kind = "standard" } = args;
-    
+  loadRobotRegistry() {
+    let fileConfig = { default: null, robots: {} };
+    let envConfig = { default: null, robots: {} };
+
     try {
-      // Import required modules
-      const fs = await import('fs');
-      const path = await import('path');
-      
-      // Check if main protocol file exists and is readable
-      if (!fs.existsSync(file_path)) {
-        return {
-          content: [{
-            type: "text",
-            text: `❌ **File not found**: ${file_path}\n\nPlease check:\n- File path is correct\n- File exists\n- You have read permissions`
-          }]
-        };
-      }
+      fileConfig = this.readRobotsFile();
+    } catch (error) {
+      console.error(`⚠️ Could not read robot registry ${this.getRobotsFile()}: ${error.message}`);
+    }
 
-      // Check file permissions
+    if (process.env.OPENTRONS_ROBOTS) {
       try {
-        fs.accessSync(file_path, fs.constants.R_OK);
-      } catch (err) {
-        return {
-          content: [{
-            type: "text", 
-            text: `❌ **Permission denied**: Cannot read ${file_path}\n\nTry:\n- \`chmod 644 "${file_path}"\`\n- Moving file to a readable location\n- Running with proper permissions`
-          }]
-        };
+        const config = JSON.parse(process.env.OPENTRONS_ROBOTS);
+        envConfig = { default: config.default || null, robots: config.robots || {} };
+      } catch (error) {
+        console.error(`⚠️ Could not parse OPENTRONS_ROBOTS: ${error.message}`);
       }
+    }
 
-      // Validate file extension
-      const ext = path.extname(file_path).toLowerCase();
-      if (!['.py', '.json'].includes(ext)) {
-        return {
-          content: [{
+    this.robotRegistry = {
+      default: process.env.OPENTRONS_DEFAULT_ROBOT || envConfig.default || fileConfig.default,
+      robots: { ...fileConfig.robots, ...envConfig.robots },
+      envRobots: new Set(Object.keys(envConfig.robots))
+    };
+  }
+
+  // Turn a `robot` argument (registry name, IP or host[:port]) into connection details.
+  // `robot_ip` is still accepted for older clients; with neither, the default robot is used.
+  resolveRobot(args = {}) {
+    const ref = args.robot || args.robot_ip || this.robotRegistry.default;
+    if (!ref) {
+      throw new Error('No robot specified and no default robot configured. Pass `robot` (registry name or IP address), or register one with add_robot.');
+    }
+
+    const entry = this.robotRegistry.robots[ref];
+    if (entry) {
+      const port = entry.port || 31950;
+      return { name: ref, host: entry.host, port, model: entry.model, tags: entry.tags || [], baseUrl: `http://${this.hostWithPort(entry.host, port)}` };
+    }
+
+    // IPv4 addresses and host names, with an optional port, or IPv6 as ::1 or [::1]:31950
+    const address = this.hostWithPort(String(ref).replace(/^https?:\/\//, '').replace(/\/+$/, ''), 31950);
+    const match = /^(?:\[([0-9A-Fa-f:.]+)\]|([^:\s[\]]+)):(\d+)$/.exec(address);
+    if (!match) {
+      throw new Error(`Unknown robot "${ref}". Registered robots: ${Object.keys(this.robotRegistry.robots).join(', ') || 'none'}`);
+    }
+
+    const port = parseInt(match[3], 10);
+    return { name: ref, host: match[1] || match[2], port, tags: [], baseUrl: `http://${address}` };
+  }
+
+  listRobots() {
+    const { robots, envRobots } = this.robotRegistry;
+    const names = Object.keys(robots);
+
+    if (names.length === 0) {
+      return {
+        content: [
+          {
             type: "text",
-            text: `❌ **Invalid file type**: ${ext}\n\nOpentrons protocols must be:\n- Python files (.py)\n- JSON protocol files (.json)`
-          }]
-        };
-      }
+            text: `No robots registered.\n\nAdd one with \`add_robot\`, or list them in ${this.getRobotsFile()} or the OPENTRONS_ROBOTS environment variable.`
+          }
+        ]
+      };
+    }
 
-      // For now, let's use curl instead of trying to fight FormData
-      const { exec } = await import('child_process');
-      const { promisify } = await import('util');
-      const execAsync = promisify(exec);
+    const robotList = names.map(name => {
+      const robot = robots[name];
+      return `**${name}**${name === this.robotRegistry.default ? ' ⭐ default' : ''}\n` +
+             `  Address: ${this.hostWithPort(robot.host, robot.port || 31950)}\n` +
+             `  Model: ${robot.model || 'Unknown'}\n` +
+             `  Tags: ${robot.tags && robot.tags.length > 0 ? robot.tags.join(', ') : 'None'}\n` +
+             `  Source: ${envRobots.has(name) ? 'OPENTRONS_ROBOTS' : this.getRobotsFile()}\n`;
+    }).join('\n');
 
-      // Build curl command
-      let curlCmd = `curl -X POST "http://${robot_ip}:31950/protocols"`;
-      curlCmd += ` -H "Opentrons-Version: *"`;
-      curlCmd += ` -H "accept: application/json"`;
-      curlCmd += ` -F "files=@${file_path}"`;
-      
-      // Add support files
-      for (const supportPath of support_files) {
-        if (fs.existsSync(supportPath)) {
-          curlCmd += ` -F "supportFiles=@${supportPath}"`;
+    let defaultNote = '';
+    if (this.robotRegistry.default && !robots[this.robotRegistry.default]) {
+      defaultNote = `\n**Default robot:** ${this.robotRegistry.default} (not in registry - used as an address)\n`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Found ${names.length} registered robot${names.length !== 1 ? 's' : ''}:\n\n${robotList}${defaultNote}`
         }
-      }
-      
-      // Add protocol kind if not standard
-      if (protocol_kind !== "standard") {
-        curlCmd += ` -F "protocolKind=${protocol_kind}"`;
+      ]
+    };
+  }
+
+  addRobot(args) {
+    const { name, host, port = 31950, model, tags = [], make_default = false } = args;
+
+    try {
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error('Robot names may only contain letters, numbers, dots, dashes and underscores');
       }
 
-      console.error(`Executing: ${curlCmd}`);
-      
-      const { stdout, stderr } = await execAsync(curlCmd);
-      
-      if (stderr && !stderr.includes('% Total')) {
-        throw new Error(`Curl error: ${stderr}`);
+      const config = this.readRobotsFile();
+      const existed = Boolean(config.robots[name]);
+      config.robots[name] = { host, port, ...(model ? { model } : {}), tags };
+      if (make_default) {
+        config.default = name;
       }
 
-      let responseData;
-      try {
-        responseData = JSON.parse(stdout);
-      } catch (parseErr) {
-        return {
-          content: [{
-            type: "text",
-            text: `❌ **Upload failed** - Invalid response from robot\n\n**Response**: ${stdout.slice(0, 500)}${stdout.length > 500 ? '...' : ''}\n\n**Possible issues**:\n- Robot not reachable at ${robot_ip}:31950\n- Robot server not running\n- Network connectivity problems`
-          }]
-        };
+      const robotsFile = this.getRobotsFile();
+      fs.mkdirSync(path.dirname(robotsFile), { recursive: true });
+      fs.writeFileSync(robotsFile, JSON.stringify(config, null, 2) + '\n');
+      this.loadRobotRegistry();
+
+      let message = `✅ Robot **${name}** ${existed ? 'updated' : 'added'} (${this.hostWithPort(host, port)})`;
+      if (make_default) {
+        message += ` and set as the default robot`;
+      }
+      if (this.robotRegistry.envRobots.has(name)) {
+        message += `\n\n⚠️ OPENTRONS_ROBOTS also defines "${name}" and takes precedence over ${robotsFile}`;
       }
 
-      // Check for errors in response
-      if (responseData.errors || (responseData.data && responseData.data.errors)) {
-        const errors = responseData.errors || responseData.data.errors || [];
-        let errorDetails = `❌ **Upload failed**\n\n`;
-        
-        if (errors.length > 0) {
-          errorDetails += `**Protocol Errors**:\n${errors.map(err => `- ${err.detail || err.message || err}`).join('\n')}\n`;
-        } else {
-          errorDetails += `**Error**: ${responseData.message || 'Unknown error'}\n`;
-        }
-        
-        errorDetails += `\n**Troubleshooting**:\n`;
-        errorDetails += `- Check robot is connected: \`curl http://${robot_ip}:31950/health\`\n`;
-        errorDetails += `- Verify protocol file syntax\n`;
-        errorDetails += `- Try uploading via Opentrons App first\n`;
-        
-        return {
-          content: [{
-            type: "text",
-            text: errorDetails
-          }]
-        };
-      }
-
-      // Success response
-      const protocolId = responseData?.data?.id;
-      const protocolName = responseData?.data?.metadata?.protocolName || path.basename(file_path);
-      const apiVersion = responseData?.data?.metadata?.apiLevel || 'Unknown';
-      
-      let successMsg = `✅ **Protocol uploaded successfully!**\n\n`;
-      successMsg += `**Protocol ID**: \`${protocolId}\`\n`;
-      successMsg += `**Name**: ${protocolName}\n`;
-      successMsg += `**API Version**: ${apiVersion}\n`;
-      successMsg += `**File**: ${path.basename(file_path)}\n`;
-      
-      if (support_files.length > 0) {
-        successMsg += `**Support Files**: ${support_files.length} files\n`;
-      }
-      
-      successMsg += `\n**Next Steps**:\n`;
-      successMsg += `1. Create a run: \`POST /runs\` with \`{"data": {"protocolId": "${protocolId}"}}\`\n`;
-      successMsg += `2. Start run: \`POST /runs/{run_id}/actions\` with \`{"data": {"actionType": "play"}}\`\n`;
-      
-      // Check for analysis warnings
-      if (responseData?.data?.analyses?.length > 0) {
-        const analysis = responseData.data.analyses[0];
-        if (analysis.status === 'completed' && analysis.result === 'ok') {
-          successMsg += `\n✅ **Protocol analysis passed** - Ready to run\n`;
-        } else if (analysis.status === 'completed' && analysis.result === 'error') {
-          successMsg += `\n⚠️ **Protocol analysis found issues** - Check protocol before running\n`;
-        }
-      }
-      
-      return {
-        content: [{
-          type: "text",
-          text: successMsg
-        }]
-      };
-
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `❌ **Upload error**: ${error.message}\n\n**Possible causes**:\n- Robot not reachable at ${robot_ip}:31950\n- Network connectivity issues\n- File permissions\n- curl not installed\n\n**Debug info**: ${error.stack?.split('\n')[0] || 'No stack trace'}`
-        }]
-      };
-    }
-  }
-
-  async getProtocols(args) {
-    const { robot_ip, protocol_kind } = args;
-    
-    try {
-      const data = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/protocols`
-      );
-      
-      let protocols = data.data || [];
-      
-      // Filter by kind if specified
-      if (protocol_kind) {
-        protocols = protocols.filter(p => p.protocolKind === protocol_kind);
-      }
-      
-      if (protocols.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No protocols found on robot${protocol_kind ? ` of type '${protocol_kind}'` : ''}.`
-            }
-          ]
-        };
-      }
-      
-      const protocolList = protocols.map(p => {
-        const analysis = p.analysisSummaries?.[0];
-        return `**${p.metadata?.protocolName || p.files[0]?.name || 'Unnamed Protocol'}**\n` +
-               `  ID: ${p.id}\n` +
-               `  Type: ${p.protocolKind || 'standard'}\n` +
-               `  Created: ${new Date(p.createdAt).toLocaleString()}\n` +
-               `  Analysis: ${analysis?.status || 'No analysis'}\n` +
-               `  Author: ${p.metadata?.author || 'Unknown'}\n`;
-      }).join('\n');
-      
       return {
         content: [
           {
             type: "text",
-            text: `Found ${protocols.length} protocol${protocols.length !== 1 ? 's' : ''} on robot:\n\n${protocolList}`
+            text: message
           }
         ]
       };
@@ -1708,46 +2960,38 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to get protocols: ${error.message}`
+            text: `❌ Failed to add robot: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async createRun(args) {
-    const { robot_ip, protocol_id, run_time_parameters } = args;
-    
+  removeRobot(args) {
+    const { name } = args;
+
     try {
-      const body = {
-        data: {
-          protocolId: protocol_id
-        }
-      };
-      
-      if (run_time_parameters) {
-        body.data.runTimeParameterValues = run_time_parameters;
+      const config = this.readRobotsFile();
+      if (!config.robots[name]) {
+        const hint = this.robotRegistry.envRobots.has(name)
+          ? ` It is defined in the OPENTRONS_ROBOTS environment variable - remove it there.`
+          : '';
+        throw new Error(`No robot named "${name}" in ${this.getRobotsFile()}.${hint}`);
       }
-      
-      const data = await this.makeApiRequest(
-        'POST',
-        `http://${robot_ip}:31950/runs`,
-        { 'Content-Type': 'application/json' },
-        JSON.stringify(body)
-      );
-      
-      const run = data.data;
-      
+
+      delete config.robots[name];
+      if (config.default === name) {
+        config.default = null;
+      }
+
+      fs.writeFileSync(this.getRobotsFile(), JSON.stringify(config, null, 2) + '\n');
+      this.loadRobotRegistry();
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Run created successfully!\n\n` +
-                  `**Run ID:** ${run.id}\n` +
-                  `**Status:** ${run.status}\n` +
-                  `**Protocol ID:** ${run.protocolId}\n` +
-                  `**Created:** ${new Date(run.createdAt).toLocaleString()}\n\n` +
-                  `Use the run ID to control execution (play/pause/stop).`
+            text: `✅ Robot **${name}** removed`
           }
         ]
       };
@@ -1756,49 +3000,195 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to create run: ${error.message}`
+            text: `❌ Failed to remove robot: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async controlRun(args) {
-    const { robot_ip, run_id, action } = args;
-    
+  // Pull the fields tools care about out of a GET /health payload
+  parseHealth(health) {
+    const robotModel = health.robot_model || 'Unknown';
+    return {
+      name: health.name || 'Unknown',
+      robotModel,
+      model: /OT-3|flex/i.test(robotModel) ? 'Flex' : /OT-2/i.test(robotModel) ? 'OT-2' : robotModel,
+      serial: health.robot_serial || 'Unknown',
+      apiVersion: health.api_version || 'Unknown',
+      fwVersion: health.fw_version || 'Unknown',
+      systemVersion: health.system_version || 'Unknown'
+    };
+  }
+
+  // Browse mDNS for _http._tcp services on the robot API port, the same advertisement the
+  // Opentrons App listens for. Resolves to a list of host addresses.
+  async browseMdns(timeoutMs, port = 31950) {
+    const mdnsFactory = (await import('multicast-dns')).default;
+
+    return new Promise((resolve, reject) => {
+      let mdns;
+      try {
+        mdns = mdnsFactory();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const instances = new Set();
+      const targets = new Map();
+      const addresses = new Map();
+
+      mdns.on('response', response => {
+        [...response.answers, ...(response.additionals || [])].forEach(record => {
+          if (record.type === 'PTR' && record.name === '_http._tcp.local') {
+            instances.add(record.data);
+          } else if (record.type === 'SRV') {
+            targets.set(record.name, record.data);
+          } else if (record.type === 'A' || record.type === 'AAAA') {
+            if (!addresses.has(record.name)) addresses.set(record.name, []);
+            addresses.get(record.name).push(record.data);
+          }
+        });
+      });
+
+      mdns.on('error', error => {
+        console.error(`⚠️ mDNS error: ${error.message}`);
+      });
+
+      mdns.query({ questions: [{ name: '_http._tcp.local', type: 'PTR' }] });
+
+      setTimeout(() => {
+        mdns.destroy();
+        const hosts = new Set();
+        targets.forEach((srv, instance) => {
+          if (srv.port !== port || (instances.size > 0 && !instances.has(instance))) return;
+          (addresses.get(srv.target) || [srv.target.replace(/\.$/, '')])
+            .filter(address => !address.includes(':'))
+            .forEach(address => hosts.add(address));
+        });
+        resolve([...hosts]);
+      }, timeoutMs);
+    });
+  }
+
+  // Only "host:port" and "[v6]:port" already carry a port; a bare IPv6 address needs brackets too
+  hostWithPort(host, port) {
+    if (host.startsWith('[')) {
+      return /\]:\d+$/.test(host) ? host : `${host}:${port}`;
+    }
+    if (host.split(':').length > 2) {
+      return `[${host}]:${port}`;
+    }
+    return host.includes(':') ? host : `${host}:${port}`;
+  }
+
+  // Expand "192.168.1.0/24" or "192.168.1" into host addresses
+  expandSubnet(subnet) {
+    const cidr = subnet.includes('/') ? subnet : `${subnet.split('.').slice(0, 3).join('.')}.0/24`;
+    const [base, bitsText] = cidr.split('/');
+    const octets = base.split('.').map(octet => parseInt(octet, 10));
+    const bits = parseInt(bitsText, 10);
+
+    if (octets.length !== 4 || octets.some(octet => Number.isNaN(octet) || octet < 0 || octet > 255)) {
+      throw new Error(`Invalid subnet "${subnet}" - use CIDR form like 192.168.1.0/24`);
+    }
+    if (Number.isNaN(bits) || bits < 22 || bits > 32) {
+      throw new Error(`Subnet /${bitsText} is too large to sweep - use /22 or smaller`);
+    }
+
+    const start = ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+    const mask = bits === 32 ? 0xffffffff : (~((1 << (32 - bits)) - 1)) >>> 0;
+    const network = (start & mask) >>> 0;
+    const size = 2 ** (32 - bits);
+    const hosts = [];
+
+    // Skip the network and broadcast addresses unless the range is a single host
+    for (let i = size > 2 ? 1 : 0; i < (size > 2 ? size - 1 : size); i++) {
+      const address = network + i;
+      hosts.push([address >>> 24, (address >>> 16) & 255, (address >>> 8) & 255, address & 255].join('.'));
+    }
+    return hosts;
+  }
+
+  async discoverRobots(args = {}) {
+    const { mdns = true, subnet, hosts = [], port = 31950, timeout_ms = 3000 } = args;
+
     try {
-      const body = {
-        data: {
-          actionType: action
+      const candidates = new Map();
+      const notes = [];
+      const subnetHosts = subnet ? this.expandSubnet(subnet) : [];
+
+      if (mdns) {
+        try {
+          const found = await this.browseMdns(timeout_ms, port);
+          found.forEach(host => candidates.set(`${host}:${port}`, 'mDNS'));
+          notes.push(`mDNS: ${found.length} advertisement${found.length !== 1 ? 's' : ''} on port ${port}`);
+        } catch (error) {
+          notes.push(`mDNS unavailable: ${error.message}`);
+        }
+      }
+
+      if (subnet) {
+        subnetHosts.forEach(host => {
+          if (!candidates.has(`${host}:${port}`)) candidates.set(`${host}:${port}`, 'subnet sweep');
+        });
+        notes.push(`Subnet sweep: ${subnetHosts.length} addresses in ${subnet}`);
+      }
+
+      hosts.forEach(host => {
+        const address = this.hostWithPort(host, port);
+        if (!candidates.has(address)) candidates.set(address, 'explicit host');
+      });
+
+      // Probe /health with a bounded number of requests in flight
+      const addresses = [...candidates.keys()];
+      const probeTimeout = Math.min(timeout_ms, 1500);
+      const robots = [];
+      let next = 0;
+
+      const worker = async () => {
+        while (next < addresses.length) {
+          const address = addresses[next++];
+          try {
+            const health = await this.makeApiRequest('GET', `http://${address}/health`, {}, null, probeTimeout);
+            robots.push({ address, via: candidates.get(address), ...this.parseHealth(health) });
+          } catch (error) {
+            // Not a robot, or not answering
+          }
         }
       };
-      
-      const data = await this.makeApiRequest(
-        'POST',
-        `http://${robot_ip}:31950/runs/${run_id}/actions`,
-        { 'Content-Type': 'application/json' },
-        JSON.stringify(body)
-      );
-      
-      const actionData = data.data;
-      
-      // Get updated run status
-      const runData = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/runs/${run_id}`
-      );
-      
-      const run = runData.data;
-      
+      await Promise.all(Array.from({ length: Math.min(32, addresses.length) }, worker));
+
+      robots.sort((a, b) => a.name.localeCompare(b.name));
+
+      let discoveryText = `Found ${robots.length} robot${robots.length !== 1 ? 's' : ''} (checked ${addresses.length} address${addresses.length !== 1 ? 'es' : ''}):\n\n`;
+
+      robots.forEach(robot => {
+        const registeredAs = Object.entries(this.robotRegistry.robots)
+          .find(([, entry]) => this.hostWithPort(entry.host, entry.port || 31950) === robot.address)?.[0];
+
+        discoveryText += `**${robot.name}**${registeredAs ? ` (registered as ${registeredAs})` : ''}\n`;
+        discoveryText += `  Address: ${robot.address}\n`;
+        discoveryText += `  Model: ${robot.model} (${robot.robotModel})\n`;
+        discoveryText += `  Serial: ${robot.serial}\n`;
+        discoveryText += `  Software Version: ${robot.apiVersion}\n`;
+        discoveryText += `  Found via: ${robot.via}\n\n`;
+      });
+
+      if (robots.length === 0) {
+        discoveryText += `No robots answered. Check that the robot is on the same network, or pass \`subnet\` (e.g., "192.168.1.0/24") to sweep it directly.\n\n`;
+      } else {
+        discoveryText += `Use \`add_robot\` to give a robot a name.\n\n`;
+      }
+
+      discoveryText += `**Discovery:**\n${notes.map(note => `- ${note}`).join('\n')}`;
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Run action '${action}' executed successfully!\n\n` +
-                  `**Action ID:** ${actionData.id}\n` +
-                  `**Run Status:** ${run.status}\n` +
-                  `**Current Action:** ${run.actions?.[run.actions.length - 1]?.actionType || 'None'}\n` +
-                  `**Completed At:** ${run.completedAt ? new Date(run.completedAt).toLocaleString() : 'Not completed'}\n`
+            text: discoveryText
           }
         ]
       };
@@ -1807,116 +3197,4594 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to control run: ${error.message}`
+            text: `❌ Failed to discover robots: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async getRuns(args) {
-    const { robot_ip } = args;
-    
+  // Helper method for making API requests
+  async makeApiRequest(method, url, headers = {}, body = null, timeoutMs = null) {
     try {
-      const data = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/runs`
-      );
+      const options = {
+        method,
+        headers: {
+          'Opentrons-Version': '*',
+          ...headers
+        }
+      };
       
-      const runs = data.data || [];
+      if (body) {
+        options.body = body;
+      }
+
+      if (timeoutMs) {
+        options.signal = AbortSignal.timeout(timeoutMs);
+      }
       
-      if (runs.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No runs found on robot.`
-            }
-          ]
-        };
+      const response = await fetch(url, options);
+      const text = await response.text();
+      let data;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch (parseError) {
+        data = { message: text };
       }
       
-      const runList = runs.slice(0, 10).map(r => {
-        const duration = r.completedAt && r.startedAt
-          ? Math.round((new Date(r.completedAt) - new Date(r.startedAt)) / 1000 / 60)
-          : null;
-          
-        return `**Run ${r.id}**\n` +
-               `  Status: ${r.status}\n` +
-               `  Created: ${new Date(r.createdAt).toLocaleString()}\n` +
-               `  Protocol: ${r.protocolId || 'None'}\n` +
-               `  Duration: ${duration ? `${duration} minutes` : 'N/A'}\n`;
-      }).join('\n');
+      if (!response.ok) {
+        const detail = data.message || (Array.isArray(data.errors) && data.errors.map(err => err.detail || err.title).filter(Boolean).join('; '));
+        throw new Error(`API Error ${response.status}: ${detail || JSON.stringify(data)}`);
+      }
       
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Found ${runs.length} run${runs.length !== 1 ? 's' : ''} on robot${runs.length > 10 ? ' (showing latest 10)' : ''}:\n\n${runList}`
-          }
-        ]
-      };
+      return data;
     } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `❌ Failed to get runs: ${error.message}`
-          }
+      if (error.code === 'ECONNREFUSED') {
+        throw new Error(`Cannot connect to robot. Please check the IP address and ensure the robot is powered on.`);
+      }
+      throw error;
+    }
+  }
+
+  // Standard labware and pipette names used by the protocol linter. The labware list covers the
+  // Opentrons labware library; anything else is reported as possibly custom rather than wrong.
+  loadProtocolReference() {
+    this.labwareLoadNames = new Set([
+      // Tip racks
+      "opentrons_96_tiprack_10ul", "opentrons_96_tiprack_20ul", "opentrons_96_tiprack_300ul", "opentrons_96_tiprack_1000ul",
+      "opentrons_96_filtertiprack_10ul", "opentrons_96_filtertiprack_20ul", "opentrons_96_filtertiprack_200ul", "opentrons_96_filtertiprack_1000ul",
+      "opentrons_flex_96_tiprack_50ul", "opentrons_flex_96_tiprack_200ul", "opentrons_flex_96_tiprack_1000ul",
+      "opentrons_flex_96_filtertiprack_50ul", "opentrons_flex_96_filtertiprack_200ul", "opentrons_flex_96_filtertiprack_1000ul",
+      "geb_96_tiprack_10ul", "geb_96_tiprack_1000ul", "tipone_96_tiprack_200ul",
+      "eppendorf_96_tiprack_10ul_eptips", "eppendorf_96_tiprack_1000ul_eptips",
+      // Well plates
+      "appliedbiosystemsmicroamp_384_wellplate_40ul", "armadillo_96_wellplate_200ul_pcr_full_skirt",
+      "biorad_96_wellplate_200ul_pcr", "biorad_384_wellplate_50ul",
+      "corning_6_wellplate_16.8ml_flat", "corning_12_wellplate_6.9ml_flat", "corning_24_wellplate_3.4ml_flat",
+      "corning_48_wellplate_1.6ml_flat", "corning_96_wellplate_360ul_flat", "corning_384_wellplate_112ul_flat",
+      "nest_96_wellplate_100ul_pcr_full_skirt", "nest_96_wellplate_200ul_flat", "nest_96_wellplate_2ml_deep",
+      "opentrons_96_wellplate_200ul_pcr_full_skirt", "opentrons_tough_pcr_auto_sealing_lid",
+      "thermoscientificnunc_96_wellplate_1300ul", "thermoscientificnunc_96_wellplate_2000ul",
+      "usascientific_96_wellplate_2.4ml_deep",
+      // Reservoirs
+      "agilent_1_reservoir_290ml", "axygen_1_reservoir_90ml", "nest_1_reservoir_195ml", "nest_1_reservoir_290ml",
+      "nest_12_reservoir_15ml", "usascientific_12_reservoir_22ml",
+      // Tube racks and aluminum blocks
+      "opentrons_6_tuberack_falcon_50ml_conical", "opentrons_6_tuberack_nest_50ml_conical",
+      "opentrons_10_tuberack_falcon_4x50ml_6x15ml_conical", "opentrons_10_tuberack_nest_4x50ml_6x15ml_conical",
+      "opentrons_15_tuberack_falcon_15ml_conical", "opentrons_15_tuberack_nest_15ml_conical",
+      "opentrons_24_tuberack_eppendorf_1.5ml_safelock_snapcap", "opentrons_24_tuberack_eppendorf_2ml_safelock_snapcap",
+      "opentrons_24_tuberack_generic_2ml_screwcap", "opentrons_24_tuberack_nest_0.5ml_screwcap",
+      "opentrons_24_tuberack_nest_1.5ml_screwcap", "opentrons_24_tuberack_nest_1.5ml_snapcap",
+      "opentrons_24_tuberack_nest_2ml_screwcap", "opentrons_24_tuberack_nest_2ml_snapcap",
+      "opentrons_24_aluminumblock_generic_2ml_screwcap", "opentrons_24_aluminumblock_nest_0.5ml_screwcap",
+      "opentrons_24_aluminumblock_nest_1.5ml_screwcap", "opentrons_24_aluminumblock_nest_1.5ml_snapcap",
+      "opentrons_24_aluminumblock_nest_2ml_screwcap", "opentrons_24_aluminumblock_nest_2ml_snapcap",
+      "opentrons_96_aluminumblock_biorad_wellplate_200ul", "opentrons_96_aluminumblock_generic_pcr_strip_200ul",
+      "opentrons_96_aluminumblock_nest_wellplate_100ul", "opentrons_96_well_aluminum_block", "opentrons_aluminum_flat_bottom_plate",
+      // Adapters and deck fixtures
+      "opentrons_96_deep_well_adapter", "opentrons_96_deep_well_temp_mod_adapter", "opentrons_96_flat_bottom_adapter",
+      "opentrons_96_pcr_adapter", "opentrons_universal_flat_adapter", "opentrons_flex_96_tiprack_adapter",
+      "opentrons_96_deep_well_adapter_nest_wellplate_2ml_deep", "opentrons_96_flat_bottom_adapter_nest_wellplate_200ul_flat",
+      "opentrons_96_pcr_adapter_nest_wellplate_100ul_pcr_full_skirt", "opentrons_universal_flat_adapter_corning_384_wellplate_112ul_flat",
+      "opentrons_flex_lid_absorbance_plate_reader_module", "opentrons_flex_deck_riser",
+      "opentrons_calibrationblock_short_side_left", "opentrons_calibrationblock_short_side_right",
+      "opentrons_1_trash_850ml_fixed", "opentrons_1_trash_1100ml_fixed", "opentrons_1_trash_3200ml_fixed"
+    ]);
+
+    this.pipetteNames = {
+      "OT-2": [
+        "p10_single", "p10_multi", "p50_single", "p50_multi", "p300_single", "p300_multi", "p1000_single",
+        "p20_single_gen2", "p20_multi_gen2", "p300_single_gen2", "p300_multi_gen2", "p1000_single_gen2"
+      ],
+      "Flex": [
+        "flex_1channel_50", "flex_1channel_1000", "flex_8channel_50", "flex_8channel_1000",
+        "flex_96channel_200", "flex_96channel_1000"
+      ]
+    };
+
+    // Flex cutout fixtures: which cutouts each fits, and what it gives the protocol. A staging
+    // area in column 3 also provides the column 4 slot next to it.
+    const left = ['cutoutA1', 'cutoutB1', 'cutoutC1', 'cutoutD1'];
+    const center = ['cutoutA2', 'cutoutB2', 'cutoutC2', 'cutoutD2'];
+    const right = ['cutoutA3', 'cutoutB3', 'cutoutC3', 'cutoutD3'];
+    this.flexCutouts = [...left, ...center, ...right];
+    this.deckFixtures = {
+      singleLeftSlot: { label: 'Slot', cutouts: left, slot: true },
+      singleCenterSlot: { label: 'Slot', cutouts: center, slot: true },
+      singleRightSlot: { label: 'Slot', cutouts: right, slot: true },
+      stagingAreaRightSlot: { label: 'Slot + staging area', cutouts: right, slot: true, staging: true },
+      trashBinAdapter: { label: 'Trash bin', cutouts: [...left, ...right] },
+      wasteChuteRightAdapterNoCover: { label: 'Waste chute', cutouts: ['cutoutD3'], wasteChute: true },
+      wasteChuteRightAdapterCovered: { label: 'Waste chute (covered)', cutouts: ['cutoutD3'], wasteChute: true, covered: true },
+      stagingAreaSlotWithWasteChuteRightAdapterNoCover: { label: 'Waste chute + staging area', cutouts: ['cutoutD3'], wasteChute: true, staging: true },
+      stagingAreaSlotWithWasteChuteRightAdapterCovered: { label: 'Waste chute (covered) + staging area', cutouts: ['cutoutD3'], wasteChute: true, covered: true, staging: true },
+      magneticBlockV1: { label: 'Magnetic block', cutouts: this.flexCutouts, module: 'magneticBlockV1' },
+      stagingAreaSlotWithMagneticBlockV1: { label: 'Magnetic block + staging area', cutouts: right, module: 'magneticBlockV1', staging: true },
+      heaterShakerModuleV1: { label: 'Heater-shaker', cutouts: [...left, ...right], module: 'heaterShakerModuleV1' },
+      temperatureModuleV2: { label: 'Temperature module', cutouts: [...left, ...right], module: 'temperatureModuleV2' },
+      thermocyclerModuleV2Rear: { label: 'Thermocycler (rear)', cutouts: ['cutoutA1'], module: 'thermocyclerModuleV2' },
+      thermocyclerModuleV2Front: { label: 'Thermocycler (front)', cutouts: ['cutoutB1'], module: 'thermocyclerModuleV2' },
+      absorbanceReaderV1: { label: 'Absorbance reader', cutouts: right, module: 'absorbanceReaderV1' }
+    };
+
+    this.moduleLabels = {
+      heaterShakerModuleType: 'Heater-shaker',
+      temperatureModuleType: 'Temperature module',
+      thermocyclerModuleType: 'Thermocycler',
+      magneticModuleType: 'Magnetic module',
+      absorbanceReaderType: 'Absorbance reader'
+    };
+  }
+
+  // Automation tool methods
+  // Returns an error message if the file can't be uploaded as a protocol, otherwise null
+  checkProtocolFile(file_path) {
+    // Check if main protocol file exists and is readable
+    if (!fs.existsSync(file_path)) {
+      return `❌ **File not found**: ${file_path}\n\nPlease check:\n- File path is correct\n- File exists\n- You have read permissions`;
+    }
+
+    // Check file permissions
+    try {
+      fs.accessSync(file_path, fs.constants.R_OK);
+    } catch (err) {
+      return `❌ **Permission denied**: Cannot read ${file_path}\n\nTry:\n- \`chmod 644 "${file_path}"\`\n- Moving file to a readable location\n- Running with proper permissions`;
+    }
+
+    // Validate file extension
+    const ext = path.extname(file_path).toLowerCase();
+    if (!['.py', '.json'].includes(ext)) {
+      return `❌ **Invalid file type**: ${ext}\n\nOpentrons protocols must be:\n- Python files (.py)\n- JSON protocol files (.json)`;
+    }
+
+    return null;
+  }
+
+  // Blank out comments (keeping line breaks) so commented-out code is not linted
+  stripPythonComments(source) {
+    let result = '';
+    let quote = null;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quote) {
+        if (ch === '\\') {
+          result += source.slice(i, i + 2);
+          i++;
+          continue;
+        }
+        if (source.startsWith(quote, i)) {
+          result += quote;
+          i += quote.length - 1;
+          quote = null;
+          continue;
+        }
+        result += ch;
+      } else if (source.startsWith('"""', i) || source.startsWith("'''", i)) {
+        quote = source.slice(i, i + 3);
+        result += quote;
+        i += 2;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        result += ch;
+      } else if (ch === '#') {
+        while (i < source.length && source[i] !== '\n') {
+          result += ' ';
+          i++;
+        }
+        if (i < source.length) result += '\n';
+      } else {
+        result += ch;
+      }
+    }
+    return result;
+  }
+
+  // Text between an opening bracket at `start` and its match, skipping over strings
+  readBalanced(source, start) {
+    const open = source[start];
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < source.length; i++) {
+      const ch = source[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === open) {
+        depth++;
+      } else if (ch === close && --depth === 0) {
+        return source.slice(start + 1, i);
+      }
+    }
+    return source.slice(start + 1);
+  }
+
+  // String and number literals become JS values; variables and expressions become null
+  pythonLiteral(text) {
+    const value = text.trim();
+    const string = /^(['"])(.*)\1$/s.exec(value);
+    if (string) return string[2];
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return null;
+  }
+
+  splitPythonArgs(argText) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < argText.length; i++) {
+      const ch = argText[i];
+      if (quote) {
+        if (ch === '\\') {
+          current += ch + (argText[i + 1] || '');
+          i++;
+          continue;
+        }
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if ('([{'.includes(ch)) {
+        depth++;
+      } else if (')]}'.includes(ch)) {
+        depth--;
+      } else if (ch === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    parts.push(current);
+
+    const args = [];
+    const kwargs = {};
+    parts.map(part => part.trim()).filter(Boolean).forEach(part => {
+      const keyword = /^(\w+)\s*=(?!=)([\s\S]*)$/.exec(part);
+      if (keyword) {
+        kwargs[keyword[1]] = this.pythonLiteral(keyword[2]);
+      } else {
+        args.push(this.pythonLiteral(part));
+      }
+    });
+    return { args, kwargs };
+  }
+
+  findPythonCalls(source, names) {
+    const calls = [];
+    const pattern = new RegExp(`(\\w*)\\s*\\.(${names.join('|')})\\s*\\(`, 'g');
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const argText = this.readBalanced(source, pattern.lastIndex - 1);
+      calls.push({
+        name: match[2],
+        receiver: match[1] || null,
+        line: source.slice(0, match.index + match[0].indexOf('.')).split('\n').length,
+        ...this.splitPythonArgs(argText)
+      });
+    }
+    return calls;
+  }
+
+  // Top-level `name = {...}` dict with string or number values, plus the line it starts on
+  findPythonDict(source, name) {
+    const match = new RegExp(`^${name}\\s*=\\s*\\{`, 'm').exec(source);
+    if (!match) return null;
+
+    const body = this.readBalanced(source, match.index + match[0].length - 1);
+    const values = {};
+    const pair = /(['"])([^'"]+)\1\s*:\s*((['"])(.*?)\4|-?\d+(\.\d+)?)/g;
+    let entry;
+    while ((entry = pair.exec(body)) !== null) {
+      values[entry[2]] = entry[5] !== undefined ? entry[5] : Number(entry[3]);
+    }
+    return { values, line: source.slice(0, match.index).split('\n').length };
+  }
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  closestName(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach(candidate => {
+      const distance = this.levenshtein(name.toLowerCase(), candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+    return bestDistance <= Math.max(3, Math.floor(name.length / 4)) ? best : null;
+  }
+
+  // Protocols name Flex pipettes two ways: the Python API's flex_1channel_1000 and the engine's
+  // p1000_single_flex, which JSON protocols and analyses use
+  pipetteEngineName(name) {
+    const match = /^flex_(\d+)channel_(\d+)$/.exec(name);
+    if (!match) return name;
+    return match[1] === '96' ? `p${match[2]}_96` : `p${match[2]}_${match[1] === '8' ? 'multi' : 'single'}_flex`;
+  }
+
+  isKnownPipette(name, robotType) {
+    const engineName = this.pipetteEngineName(name);
+    return this.pipetteNames[robotType].some(known => this.pipetteEngineName(known) === engineName);
+  }
+
+  // Flex and OT-2 slot names map onto each other: OT-2 slot 1 is Flex D1, slot 12 is A3
+  checkSlot(slot, robotType, kind = 'labware') {
+    const slotName = String(slot).toUpperCase();
+    const ot2ToFlex = ['D1', 'D2', 'D3', 'C1', 'C2', 'C3', 'B1', 'B2', 'B3', 'A1', 'A2', 'A3'];
+
+    if (/^\d+$/.test(slotName)) {
+      const number = Number(slotName);
+      if (number < 1 || number > 12) {
+        return { severity: 'error', message: `There is no slot ${slotName}`, fix: `Use a slot from ${robotType === 'Flex' ? 'A1-D3' : '1-11'}` };
+      }
+      if (robotType === 'Flex') {
+        return { severity: 'warning', message: `OT-2 slot number ${slotName} used on a Flex`, fix: `Use the Flex slot name '${ot2ToFlex[number - 1]}'` };
+      }
+      if (number === 12 && kind !== 'trash') {
+        return { severity: 'error', message: `Slot 12 holds the fixed trash on an OT-2`, fix: `Use a slot from 1-11` };
+      }
+      return null;
+    }
+
+    const flexSlot = /^([A-D])([1-4])$/.exec(slotName);
+    if (!flexSlot) {
+      return { severity: 'error', message: `Unknown deck slot '${slot}'`, fix: robotType === 'Flex' ? `Use a slot from A1-D3 (or A4-D4 for staging areas)` : `Use a slot from 1-11` };
+    }
+
+    const column = Number(flexSlot[2]);
+    if (robotType !== 'Flex') {
+      if (column === 4) {
+        return { severity: 'error', message: `Staging area slot ${slotName} does not exist on an OT-2`, fix: `Use a slot from 1-11` };
+      }
+      return { severity: 'warning', message: `Flex slot name ${slotName} used on an OT-2`, fix: `Use the OT-2 slot number ${ot2ToFlex.indexOf(slotName) + 1}` };
+    }
+    if (column === 4 && kind !== 'labware') {
+      return { severity: 'error', message: `Staging area slot ${slotName} can only hold labware`, fix: `Use a slot from A1-D3` };
+    }
+    if (kind === 'trash' && column === 2) {
+      return { severity: 'error', message: `A trash bin can't go in the middle column (${slotName})`, fix: `Use a slot in column 1 or 3, e.g. 'A3'` };
+    }
+    return null;
+  }
+
+  compareApiLevel(level, target) {
+    const [major, minor] = String(level).split('.').map(Number);
+    const [targetMajor, targetMinor] = target.split('.').map(Number);
+    return major !== targetMajor ? major - targetMajor : minor - targetMinor;
+  }
+
+  lintPythonProtocol(source, robotModel = null, customLoadNames = new Set()) {
+    const findings = [];
+    const code = this.stripPythonComments(source);
+    const requirements = this.findPythonDict(code, 'requirements');
+    const metadata = this.findPythonDict(code, 'metadata');
+    const defLine = (code.slice(0, Math.max(0, code.search(/^def run\s*\(/m))).split('\n').length);
+
+    const apiLevel = requirements?.values.apiLevel ?? metadata?.values.apiLevel;
+    const declaredType = requirements?.values.robotType;
+    if (!apiLevel) {
+      findings.push({
+        line: requirements?.line || metadata?.line || 1,
+        severity: 'error',
+        message: 'No apiLevel declared',
+        fix: `Add "apiLevel": "2.20" to ${requirements ? 'requirements' : 'a requirements dict'}`
+      });
+    } else if (!/^\d+\.\d+$/.test(String(apiLevel))) {
+      findings.push({ line: (requirements || metadata).line, severity: 'error', message: `apiLevel "${apiLevel}" is not in MAJOR.MINOR form`, fix: 'Use a version like "2.20"' });
+    } else if (requirements?.values.apiLevel && metadata?.values.apiLevel) {
+      findings.push({ line: metadata.line, severity: 'error', message: 'apiLevel is declared in both metadata and requirements', fix: 'Keep it in requirements only' });
+    }
+
+    if (!declaredType) {
+      findings.push({
+        line: requirements?.line || 1,
+        severity: robotModel === 'Flex' ? 'error' : 'warning',
+        message: 'No requirements.robotType declared, so the robot treats this as an OT-2 protocol',
+        fix: robotModel
+          ? `Add "robotType": "${robotModel}" to requirements`
+          : `Add "robotType": "OT-2" to requirements, or "Flex" if it is meant for a Flex`
+      });
+    } else if (!['Flex', 'OT-2'].includes(declaredType)) {
+      findings.push({ line: requirements.line, severity: 'error', message: `Unknown robotType "${declaredType}"`, fix: 'Use "Flex" or "OT-2"' });
+    } else if (robotModel && declaredType !== robotModel) {
+      findings.push({ line: requirements.line, severity: 'error', message: `Protocol is for ${declaredType} but the target robot is ${robotModel}`, fix: `Set "robotType": "${robotModel}" and check slots, labware and pipettes` });
+    }
+
+    const robotType = ['Flex', 'OT-2'].includes(declaredType) ? declaredType : 'OT-2';
+    const calls = this.findPythonCalls(code, ['load_labware', 'load_adapter', 'load_module', 'load_trash_bin', 'load_waste_chute', 'load_instrument', 'move_labware']);
+    const looksLikeSlot = value => value !== null && value !== undefined && /^(\d+|[A-Za-z]\d+)$/.test(String(value));
+
+    calls.forEach(call => {
+      const first = call.args[0] ?? call.kwargs.load_name ?? call.kwargs.module_name ?? call.kwargs.instrument_name ?? null;
+
+      if (call.name === 'load_labware' || call.name === 'load_adapter') {
+        const location = call.args[1] ?? call.kwargs.location;
+        if (looksLikeSlot(location)) {
+          const slotFinding = this.checkSlot(location, robotType);
+          if (slotFinding) findings.push({ line: call.line, ...slotFinding });
+        }
+
+        const namespace = call.kwargs.namespace;
+        if (typeof first === 'string' && (!namespace || namespace === 'opentrons') && !customLoadNames.has(first)) {
+          if (!this.labwareLoadNames.has(first)) {
+            const suggestion = this.closestName(first, this.labwareLoadNames);
+            findings.push({
+              line: call.line,
+              severity: 'warning',
+              message: `'${first}' is not a standard Opentrons labware`,
+              fix: suggestion ? `Did you mean '${suggestion}'? If it is custom labware, upload its definition with the protocol` : 'If it is custom labware, upload its definition with the protocol'
+            });
+          } else if (robotType === 'Flex' && /^opentrons_96_(filter)?tiprack_/.test(first)) {
+            findings.push({ line: call.line, severity: 'error', message: `OT-2 tip rack '${first}' does not fit Flex pipettes`, fix: `Use a Flex tip rack such as '${first.includes('filter') ? 'opentrons_flex_96_filtertiprack_200ul' : 'opentrons_flex_96_tiprack_200ul'}'` });
+          } else if (robotType === 'OT-2' && /^opentrons_flex_/.test(first)) {
+            findings.push({ line: call.line, severity: 'error', message: `Flex labware '${first}' used on an OT-2`, fix: 'Use the OT-2 equivalent, e.g. opentrons_96_tiprack_300ul for tips' });
+          }
+        }
+      } else if (call.name === 'load_module') {
+        const location = call.args[1] ?? call.kwargs.location;
+        if (looksLikeSlot(location)) {
+          const slotFinding = this.checkSlot(location, robotType, 'module');
+          if (slotFinding) findings.push({ line: call.line, ...slotFinding });
+        }
+      } else if (call.name === 'load_trash_bin') {
+        const location = call.args[0] ?? call.kwargs.location;
+        if (robotType !== 'Flex') {
+          findings.push({ line: call.line, severity: 'error', message: 'load_trash_bin is only available on Flex', fix: 'Remove it; the OT-2 trash is fixed in slot 12' });
+        } else if (looksLikeSlot(location)) {
+          const slotFinding = this.checkSlot(location, robotType, 'trash');
+          if (slotFinding) findings.push({ line: call.line, ...slotFinding });
+        }
+      } else if (call.name === 'load_waste_chute' && robotType !== 'Flex') {
+        findings.push({ line: call.line, severity: 'error', message: 'load_waste_chute is only available on Flex', fix: 'Remove it; the OT-2 trash is fixed in slot 12' });
+      } else if (call.name === 'load_instrument') {
+        const mount = call.args[1] ?? call.kwargs.mount;
+        if (typeof first === 'string') {
+          const otherType = robotType === 'Flex' ? 'OT-2' : 'Flex';
+          if (this.isKnownPipette(first, otherType)) {
+            findings.push({ line: call.line, severity: 'error', message: `${otherType} pipette '${first}' used in a ${robotType} protocol`, fix: `Use a ${robotType} pipette: ${this.pipetteNames[robotType].join(', ')}` });
+          } else if (!this.isKnownPipette(first, robotType)) {
+            // Newer pipettes reach the robot before this list, so an unknown name is only a warning
+            const suggestion = this.closestName(first, this.pipetteNames[robotType]);
+            findings.push({ line: call.line, severity: 'warning', message: `Unknown pipette '${first}'`, fix: suggestion ? `Did you mean '${suggestion}'?` : `Use one of: ${this.pipetteNames[robotType].join(', ')}` });
+          }
+        }
+        if (typeof mount === 'string' && !['left', 'right'].includes(mount)) {
+          findings.push({ line: call.line, severity: 'error', message: `Unknown mount '${mount}'`, fix: "Use 'left' or 'right'" });
+        }
+      } else if (call.name === 'move_labware') {
+        const location = call.args[1] ?? call.kwargs.new_location;
+        if (looksLikeSlot(location)) {
+          const slotFinding = this.checkSlot(location, robotType);
+          if (slotFinding) findings.push({ line: call.line, ...slotFinding });
+        }
+      }
+    });
+
+    // From 2.16 Flex has no implicit trash, so anything that drops tips needs one loaded
+    const hasTrash = calls.some(call => call.name === 'load_trash_bin' || call.name === 'load_waste_chute');
+    const dropsTips = /\.(drop_tip|transfer|distribute|consolidate)\s*\(/.test(code);
+    if (robotType === 'Flex' && apiLevel && /^\d+\.\d+$/.test(String(apiLevel)) && this.compareApiLevel(apiLevel, '2.16') >= 0 && !hasTrash && dropsTips) {
+      findings.push({ line: defLine, severity: 'error', message: 'Flex protocol drops tips but loads no trash bin or waste chute', fix: "Add trash = protocol.load_trash_bin('A3') at the start of run()" });
+    }
+
+    if (!/^def run\s*\(/m.test(code)) {
+      findings.push({ line: 1, severity: 'error', message: 'No top-level run() function', fix: 'Define def run(protocol: protocol_api.ProtocolContext):' });
+    }
+
+    return { robotType: declaredType || robotType, findings };
+  }
+
+  // JSON protocols use engine pipette names; a pipette for the other robot is an error, an unknown one only a warning
+  checkJsonPipette(pipetteName, robotType) {
+    const otherType = robotType === 'Flex' ? 'OT-2' : 'Flex';
+    const engineNames = this.pipetteNames[robotType].map(name => this.pipetteEngineName(name));
+    if (this.isKnownPipette(pipetteName, otherType)) {
+      return { severity: 'error', message: `pipette '${pipetteName}' is an ${otherType} pipette, not a ${robotType} one`, fix: `Use one of: ${engineNames.join(', ')}` };
+    }
+    if (!this.isKnownPipette(pipetteName, robotType)) {
+      return { severity: 'warning', message: `Unknown pipette '${pipetteName}'`, fix: `Check it against the ${robotType} pipettes: ${engineNames.join(', ')}` };
+    }
+    return null;
+  }
+
+  lintJsonProtocol(source, robotModel = null) {
+    const findings = [];
+    let protocol;
+    try {
+      protocol = JSON.parse(source);
+    } catch (error) {
+      const position = Number(/position (\d+)/.exec(error.message)?.[1]);
+      const line = Number.isNaN(position) ? 1 : source.slice(0, position).split('\n').length;
+      return { robotType: null, findings: [{ line, severity: 'error', message: `Invalid JSON: ${error.message}`, fix: 'Re-export the protocol from Protocol Designer' }] };
+    }
+
+    const lineOf = text => {
+      const index = source.indexOf(text);
+      return index === -1 ? 1 : source.slice(0, index).split('\n').length;
+    };
+
+    const schemaVersion = protocol.schemaVersion ?? Number(/(\d+)$/.exec(protocol.$otSharedSchema || '')?.[1]);
+    if (!schemaVersion || Number.isNaN(schemaVersion)) {
+      findings.push({ line: 1, severity: 'error', message: 'No schemaVersion or $otSharedSchema', fix: 'Re-export the protocol from Protocol Designer' });
+    } else if (schemaVersion < 6) {
+      findings.push({ line: lineOf('"schemaVersion"'), severity: 'warning', message: `Protocol schema v${schemaVersion} is outdated`, fix: 'Import and re-export it in the current Protocol Designer' });
+    }
+
+    if (!protocol.metadata) {
+      findings.push({ line: 1, severity: 'warning', message: 'No metadata section', fix: 'Add "metadata": {"protocolName": "..."}' });
+    }
+
+    const models = { 'OT-2 Standard': 'OT-2', 'OT-3 Standard': 'Flex' };
+    const robotType = models[protocol.robot?.model] || null;
+    if (!protocol.robot?.model) {
+      findings.push({ line: 1, severity: 'error', message: 'No robot.model', fix: 'Add "robot": {"model": "OT-3 Standard"} for Flex or "OT-2 Standard"' });
+    } else if (!robotType) {
+      findings.push({ line: lineOf('"model"'), severity: 'error', message: `Unknown robot model "${protocol.robot.model}"`, fix: 'Use "OT-3 Standard" (Flex) or "OT-2 Standard"' });
+    } else if (robotModel && robotType !== robotModel) {
+      findings.push({ line: lineOf('"model"'), severity: 'error', message: `Protocol is for ${robotType} but the target robot is ${robotModel}`, fix: `Re-export the protocol for ${robotModel} in Protocol Designer` });
+    }
+
+    if (schemaVersion >= 6) {
+      const definitions = protocol.labwareDefinitions;
+      if (!definitions || typeof definitions !== 'object') {
+        findings.push({ line: 1, severity: 'error', message: 'No labwareDefinitions object', fix: 'Re-export the protocol from Protocol Designer' });
+      }
+      if (!Array.isArray(protocol.commands)) {
+        findings.push({ line: lineOf('"commands"'), severity: 'error', message: 'commands must be an array', fix: 'Re-export the protocol from Protocol Designer' });
+      }
+
+      // Line of each "commandType" key in order, found in one pass so large protocols stay fast
+      const commandLines = [];
+      let line = 1;
+      let lastIndex = 0;
+      for (let index = source.indexOf('"commandType"'); index !== -1; index = source.indexOf('"commandType"', index + 1)) {
+        line += source.slice(lastIndex, index).split('\n').length - 1;
+        commandLines.push(line);
+        lastIndex = index;
+      }
+
+      const loadNames = new Set(Object.values(definitions || {}).map(definition => definition.parameters?.loadName));
+      let commandTypeCount = 0;
+      (Array.isArray(protocol.commands) ? protocol.commands : []).forEach((command, i) => {
+        const line = typeof command?.commandType === 'string' ? (commandLines[commandTypeCount++] || 1) : lineOf('"commands"');
+        if (typeof command?.commandType !== 'string' || typeof command.params !== 'object' || command.params === null) {
+          findings.push({ line, severity: 'error', message: `Command ${i} needs a commandType string and a params object`, fix: 'Re-export the protocol from Protocol Designer' });
+          return;
+        }
+
+        const params = command.params;
+        if (command.commandType === 'loadLabware' && params.loadName && !loadNames.has(params.loadName)) {
+          findings.push({ line, severity: 'error', message: `Command ${i} loads '${params.loadName}' but there is no definition for it in labwareDefinitions`, fix: 'Include the labware definition in labwareDefinitions' });
+        }
+        if (command.commandType === 'loadPipette' && params.pipetteName && robotType) {
+          const pipetteFinding = this.checkJsonPipette(params.pipetteName, robotType);
+          if (pipetteFinding) findings.push({ line, ...pipetteFinding, message: `Command ${i}: ${pipetteFinding.message}` });
+        }
+        if (['loadLabware', 'loadModule'].includes(command.commandType) && params.location?.slotName && robotType) {
+          const slotFinding = this.checkSlot(params.location.slotName, robotType, command.commandType === 'loadModule' ? 'module' : 'labware');
+          if (slotFinding) findings.push({ line, ...slotFinding, message: `Command ${i}: ${slotFinding.message}` });
+        }
+      });
+
+      // Schemas 6 and 7 reference definitions from a separate labware map
+      Object.entries(protocol.labware || {}).forEach(([labwareId, labware]) => {
+        if (labware.definitionId && definitions && !definitions[labware.definitionId]) {
+          findings.push({ line: lineOf(`"${labwareId}"`), severity: 'error', message: `Labware ${labwareId} uses definition ${labware.definitionId}, which is missing from labwareDefinitions`, fix: 'Include the labware definition in labwareDefinitions' });
+        }
+      });
+      Object.entries(protocol.pipettes || {}).forEach(([pipetteId, pipette]) => {
+        if (pipette.name && robotType) {
+          const pipetteFinding = this.checkJsonPipette(pipette.name, robotType);
+          if (pipetteFinding) findings.push({ line: lineOf(`"${pipetteId}"`), ...pipetteFinding });
+        }
+      });
+    }
+
+    return { robotType, findings };
+  }
+
+  lintProtocolFile(file_path, robotModel = null, customLoadNames = new Set()) {
+    const source = fs.readFileSync(file_path, 'utf8');
+    const result = path.extname(file_path).toLowerCase() === '.json'
+      ? this.lintJsonProtocol(source, robotModel)
+      : this.lintPythonProtocol(source, robotModel, customLoadNames);
+    result.findings.sort((a, b) => a.line - b.line);
+    return result;
+  }
+
+  formatLintFindings(file_path, result) {
+    const errors = result.findings.filter(f => f.severity === 'error').length;
+    const warnings = result.findings.length - errors;
+
+    let lintText = `**Lint:** ${path.basename(file_path)} (${result.robotType || 'unknown robot'})\n`;
+    if (result.findings.length === 0) {
+      return lintText + `✅ No problems found\n`;
+    }
+
+    lintText += `${errors > 0 ? '❌' : '⚠️'} ${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}\n\n`;
+    result.findings.forEach(finding => {
+      lintText += `- ${finding.severity === 'error' ? '❌' : '⚠️'} **Line ${finding.line}:** ${finding.message}\n`;
+      lintText += `  - Fix: ${finding.fix}\n`;
+    });
+    return lintText;
+  }
+
+  async lintProtocol(args) {
+    const { file_path, robot_model } = args;
+
+    try {
+      const fileError = this.checkProtocolFile(file_path);
+      if (fileError) {
+        return {
+          content: [{
+            type: "text",
+            text: fileError
+          }]
+        };
+      }
+
+      const result = this.lintProtocolFile(file_path, robot_model);
+      return {
+        content: [
+          {
+            type: "text",
+            text: this.formatLintFindings(file_path, result)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to lint protocol: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Structural checks for a labware definition (labware schema 2). Findings carry the JSON path
+  // of the problem instead of a line number.
+  validateLabwareDefinition(definition) {
+    const findings = [];
+    const add = (severity, at, message) => findings.push({ severity, path: at, message });
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(definition)) {
+      add('error', '$', 'Definition must be a JSON object');
+      return findings;
+    }
+
+    if (definition.schemaVersion !== 2) {
+      add(definition.schemaVersion === 3 ? 'warning' : 'error', 'schemaVersion', definition.schemaVersion === 3
+        ? 'Labware schema 3 needs robot software 8.0 or newer'
+        : `schemaVersion must be 2 (got ${JSON.stringify(definition.schemaVersion)})`);
+    }
+    if (!isNumber(definition.version) || definition.version < 1 || !Number.isInteger(definition.version)) {
+      add('error', 'version', 'version must be a positive integer');
+    }
+    if (typeof definition.namespace !== 'string' || !definition.namespace) {
+      add('error', 'namespace', 'namespace is required');
+    } else if (definition.namespace === 'opentrons') {
+      add('warning', 'namespace', 'The "opentrons" namespace is reserved for standard labware; custom labware usually uses "custom_beta"');
+    }
+
+    ['displayName', 'displayCategory', 'displayVolumeUnits'].forEach(key => {
+      if (!definition.metadata?.[key]) add('error', `metadata.${key}`, `metadata.${key} is required`);
+    });
+    if (!definition.brand?.brand) add('error', 'brand.brand', 'brand.brand is required');
+
+    const dimensions = definition.dimensions || {};
+    ['xDimension', 'yDimension', 'zDimension'].forEach(key => {
+      if (!isNumber(dimensions[key]) || dimensions[key] <= 0) add('error', `dimensions.${key}`, `dimensions.${key} must be a positive number`);
+    });
+    ['x', 'y', 'z'].forEach(key => {
+      if (!isNumber(definition.cornerOffsetFromSlot?.[key])) add('error', `cornerOffsetFromSlot.${key}`, `cornerOffsetFromSlot.${key} must be a number`);
+    });
+
+    const parameters = definition.parameters || {};
+    if (typeof parameters.loadName !== 'string' || !/^[a-z0-9._]+$/.test(parameters.loadName)) {
+      add('error', 'parameters.loadName', 'loadName is required and may only contain lowercase letters, digits, "." and "_"');
+    } else if (this.labwareLoadNames.has(parameters.loadName) && definition.namespace !== 'opentrons') {
+      add('warning', 'parameters.loadName', `loadName "${parameters.loadName}" is also a standard Opentrons labware; pick a unique name to avoid loading the wrong one`);
+    }
+    if (!['regular', 'irregular', '96Standard', '384Standard', 'trough'].includes(parameters.format)) {
+      add('error', 'parameters.format', 'format must be one of regular, irregular, 96Standard, 384Standard, trough');
+    }
+    if (typeof parameters.isTiprack !== 'boolean') {
+      add('error', 'parameters.isTiprack', 'isTiprack must be true or false');
+    } else if (parameters.isTiprack && (!isNumber(parameters.tipLength) || parameters.tipLength <= 0)) {
+      add('error', 'parameters.tipLength', 'Tip racks need a positive tipLength');
+    }
+    if (typeof parameters.isMagneticModuleCompatible !== 'boolean') {
+      add('error', 'parameters.isMagneticModuleCompatible', 'isMagneticModuleCompatible must be true or false');
+    }
+
+    const wells = isObject(definition.wells) ? definition.wells : {};
+    if (!isObject(definition.wells) || Object.keys(wells).length === 0) {
+      add('error', 'wells', 'wells must be an object with at least one well');
+    }
+    Object.entries(wells).forEach(([name, well]) => {
+      const at = `wells.${name}`;
+      ['x', 'y', 'z', 'depth', 'totalLiquidVolume'].forEach(key => {
+        if (!isNumber(well[key])) add('error', `${at}.${key}`, `${key} must be a number`);
+      });
+      if (well.shape === 'circular') {
+        if (!isNumber(well.diameter) || well.diameter <= 0) add('error', `${at}.diameter`, 'Circular wells need a positive diameter');
+      } else if (well.shape === 'rectangular') {
+        if (!isNumber(well.xDimension) || !isNumber(well.yDimension)) add('error', at, 'Rectangular wells need xDimension and yDimension');
+      } else {
+        add('error', `${at}.shape`, 'shape must be "circular" or "rectangular"');
+      }
+
+      // Wells must sit inside the labware footprint
+      const halfX = well.shape === 'circular' ? well.diameter / 2 : well.xDimension / 2;
+      const halfY = well.shape === 'circular' ? well.diameter / 2 : well.yDimension / 2;
+      if (isNumber(well.x) && isNumber(halfX) && isNumber(dimensions.xDimension) && (well.x - halfX < 0 || well.x + halfX > dimensions.xDimension)) {
+        add('error', `${at}.x`, `Well extends outside the labware's ${dimensions.xDimension} mm width`);
+      }
+      if (isNumber(well.y) && isNumber(halfY) && isNumber(dimensions.yDimension) && (well.y - halfY < 0 || well.y + halfY > dimensions.yDimension)) {
+        add('error', `${at}.y`, `Well extends outside the labware's ${dimensions.yDimension} mm length`);
+      }
+      if (isNumber(well.z) && isNumber(well.depth) && isNumber(dimensions.zDimension) && well.z + well.depth > dimensions.zDimension + 0.01) {
+        add('error', `${at}.depth`, `Well top (z ${well.z} + depth ${well.depth}) is above the labware's ${dimensions.zDimension} mm height`);
+      }
+    });
+
+    if (!Array.isArray(definition.ordering) || !definition.ordering.every(Array.isArray)) {
+      add('error', 'ordering', 'ordering must be an array of columns, each an array of well names');
+    } else {
+      const ordered = new Set(definition.ordering.flat());
+      [...ordered].filter(name => !wells[name]).forEach(name => add('error', 'ordering', `ordering lists ${name}, which is not in wells`));
+      Object.keys(wells).filter(name => !ordered.has(name)).forEach(name => add('error', `wells.${name}`, `${name} is missing from ordering`));
+    }
+
+    if (!Array.isArray(definition.groups) || definition.groups.length === 0) {
+      add('error', 'groups', 'groups must list at least one group of wells');
+    } else {
+      definition.groups.forEach((group, i) => {
+        (group.wells || []).filter(name => !wells[name]).forEach(name => add('error', `groups[${i}].wells`, `Group lists ${name}, which is not in wells`));
+      });
+    }
+
+    return findings;
+  }
+
+  isLabwareDefinitionFile(file_path) {
+    if (path.extname(file_path).toLowerCase() !== '.json') return false;
+    try {
+      const definition = JSON.parse(fs.readFileSync(file_path, 'utf8'));
+      return Boolean(definition?.parameters?.loadName && definition.wells);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  readLabwareDefinition(file_path) {
+    if (!fs.existsSync(file_path)) {
+      throw new Error(`Labware definition not found: ${file_path}`);
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file_path, 'utf8'));
+    } catch (error) {
+      throw new Error(`${path.basename(file_path)} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Labware definition files sitting next to a protocol, keyed by loadName
+  findLabwareDefinitions(dir) {
+    const definitions = new Map();
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir).filter(name => name.toLowerCase().endsWith('.json'));
+    } catch (error) {
+      return definitions;
+    }
+
+    entries.slice(0, 200).forEach(name => {
+      const filePath = path.join(dir, name);
+      try {
+        if (fs.statSync(filePath).size > 5 * 1024 * 1024) return;
+        const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (definition?.parameters?.loadName && definition.wells) {
+          definitions.set(definition.parameters.loadName, { path: filePath, definition });
+        }
+      } catch (error) {
+        // Not a labware definition
+      }
+    });
+    return definitions;
+  }
+
+  // Every labware load in a protocol with its location and where its definition comes from
+  listProtocolLabwareLoads(file_path) {
+    const source = fs.readFileSync(file_path, 'utf8');
+
+    if (path.extname(file_path).toLowerCase() === '.json') {
+      const protocol = JSON.parse(source);
+      const definitions = protocol.labwareDefinitions || {};
+      return (protocol.commands || [])
+        .filter(command => command.commandType === 'loadLabware')
+        .map(command => {
+          const params = command.params || {};
+          const definitionId = protocol.labware?.[params.labwareId]?.definitionId;
+          const definition = definitionId ? definitions[definitionId] : Object.values(definitions).find(d => d.parameters?.loadName === params.loadName);
+          return {
+            loadName: params.loadName || definition?.parameters?.loadName || definitionId || 'unknown',
+            location: this.formatLocation(params.location),
+            label: params.displayName || protocol.labware?.[params.labwareId]?.displayName || null,
+            namespace: params.namespace || definition?.namespace || null,
+            line: null,
+            embedded: Boolean(definition)
+          };
+        });
+    }
+
+    const code = this.stripPythonComments(source);
+    return this.findPythonCalls(code, ['load_labware', 'load_adapter', 'load_labware_from_definition']).map(call => {
+      const second = call.args[1] ?? call.kwargs.location;
+      const isSlot = second !== null && second !== undefined && /^(\d+|[A-Za-z]\d+)$/.test(String(second));
+      return {
+        loadName: call.name === 'load_labware_from_definition' ? '(inline definition)' : (call.args[0] ?? call.kwargs.load_name ?? '(variable)'),
+        location: isSlot ? `Slot ${second}` : call.receiver && !['protocol', 'ctx', 'protocol_context'].includes(call.receiver) ? `on ${call.receiver}` : 'Unknown',
+        label: call.args[2] ?? call.kwargs.label ?? (!isSlot && typeof call.args[1] === 'string' ? call.args[1] : null),
+        namespace: call.kwargs.namespace ?? null,
+        line: call.line,
+        embedded: call.name === 'load_labware_from_definition'
+      };
+    });
+  }
+
+  // Work out which labware definitions an upload needs: the ones passed explicitly, plus any custom
+  // labware the protocol loads that has a definition file in the protocol's folder. Only labware in
+  // an explicit non-opentrons namespace must have a definition; other names missing from the
+  // reference list may just be newer library labware, so they are reported as unverified.
+  resolveLabwareDefinitions(file_path, labware_definitions = []) {
+    const provided = new Map();
+    const invalid = [];
+    labware_definitions.forEach(definitionPath => {
+      const definition = this.readLabwareDefinition(definitionPath);
+      const errors = this.validateLabwareDefinition(definition).filter(f => f.severity === 'error');
+      if (errors.length > 0) {
+        invalid.push({ path: definitionPath, errors });
+      }
+      if (definition.parameters?.loadName) {
+        provided.set(definition.parameters.loadName, definitionPath);
+      }
+    });
+
+    const autoAttached = [];
+    const missing = [];
+    const unverified = [];
+    const nearby = this.findLabwareDefinitions(path.dirname(path.resolve(file_path)));
+    this.listProtocolLabwareLoads(file_path)
+      .filter(load => !load.embedded && typeof load.loadName === 'string' && !load.loadName.startsWith('('))
+      .filter(load => (load.namespace && load.namespace !== 'opentrons') || !this.labwareLoadNames.has(load.loadName))
+      .forEach(load => {
+        if (provided.has(load.loadName) || autoAttached.some(entry => entry.loadName === load.loadName)) return;
+        const found = nearby.get(load.loadName);
+        if (found) {
+          autoAttached.push({ loadName: load.loadName, path: found.path });
+        } else if (load.namespace && load.namespace !== 'opentrons') {
+          if (!missing.some(entry => entry.loadName === load.loadName)) missing.push(load);
+        } else if (!unverified.some(entry => entry.loadName === load.loadName)) {
+          unverified.push(load);
+        }
+      });
+
+    return {
+      files: [...provided.values(), ...autoAttached.map(entry => entry.path)],
+      loadNames: new Set([...provided.keys(), ...autoAttached.map(entry => entry.loadName)]),
+      autoAttached,
+      missing,
+      unverified,
+      invalid
+    };
+  }
+
+  // Why an upload can't go ahead because of labware definitions, or null
+  formatLabwareProblems(labware) {
+    if (labware.invalid.length === 0 && labware.missing.length === 0) return null;
+
+    let problemText = '';
+    labware.invalid.forEach(entry => {
+      problemText += `- ❌ ${path.basename(entry.path)} is not a valid labware definition:\n`;
+      entry.errors.slice(0, 10).forEach(finding => {
+        problemText += `  - \`${finding.path}\`: ${finding.message}\n`;
+      });
+    });
+    labware.missing.forEach(load => {
+      problemText += `- ❌ ${load.line ? `Line ${load.line}: ` : ''}'${load.loadName}' is custom labware (namespace '${load.namespace}'), but no definition was attached or found next to the protocol\n`;
+    });
+    return problemText + `\nPass the definition files in \`labware_definitions\` (check them with \`validate_labware_definition\`).`;
+  }
+
+  async validateLabwareDefinitionTool(args) {
+    const { file_path } = args;
+
+    try {
+      const definition = this.readLabwareDefinition(file_path);
+      const findings = this.validateLabwareDefinition(definition);
+      const errors = findings.filter(f => f.severity === 'error');
+
+      let validationText = `**Labware Definition:** ${path.basename(file_path)}\n`;
+      validationText += `**Load Name:** ${definition.parameters?.loadName || 'missing'}\n`;
+      validationText += `**Namespace/Version:** ${definition.namespace || '?'}/${definition.version ?? '?'}\n\n`;
+
+      if (findings.length === 0) {
+        validationText += `✅ Valid labware definition\n`;
+      } else {
+        validationText += `${errors.length > 0 ? '❌' : '⚠️'} ${errors.length} error${errors.length !== 1 ? 's' : ''}, ${findings.length - errors.length} warning${findings.length - errors.length !== 1 ? 's' : ''}\n\n`;
+        findings.slice(0, 50).forEach(finding => {
+          validationText += `- ${finding.severity === 'error' ? '❌' : '⚠️'} \`${finding.path}\`: ${finding.message}\n`;
+        });
+        if (findings.length > 50) {
+          validationText += `- ... and ${findings.length - 50} more\n`;
+        }
+      }
+
+      if (errors.length === 0) {
+        validationText += `\nLoad it with \`protocol.load_labware('${definition.parameters.loadName}', ..., namespace='${definition.namespace}', version=${definition.version})\`, and upload this file in \`labware_definitions\`.\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: validationText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to validate labware definition: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async listProtocolLabware(args) {
+    const { file_path, labware_definitions = [] } = args;
+
+    try {
+      const fileError = this.checkProtocolFile(file_path);
+      if (fileError) {
+        return {
+          content: [{
+            type: "text",
+            text: fileError
+          }]
+        };
+      }
+
+      const loads = this.listProtocolLabwareLoads(file_path);
+      const labware = this.resolveLabwareDefinitions(file_path, labware_definitions);
+      const missingNames = new Set(labware.missing.map(load => load.loadName));
+      const unverifiedNames = new Set(labware.unverified.map(load => load.loadName));
+      const source = load => {
+        if (load.embedded) return '📦 definition embedded in protocol';
+        if (labware.loadNames.has(load.loadName)) {
+          const auto = labware.autoAttached.find(entry => entry.loadName === load.loadName);
+          return auto ? `📎 custom, found ${path.basename(auto.path)}` : '📎 custom, definition provided';
+        }
+        if (missingNames.has(load.loadName)) return '❌ custom, no definition';
+        if (unverifiedNames.has(load.loadName)) return '❔ not in the standard list; if custom, pass its definition';
+        return typeof load.loadName === 'string' && load.loadName.startsWith('(') ? '❔ not a literal name' : '✅ standard';
+      };
+
+      let labwareText = `**Labware in ${path.basename(file_path)}:** ${loads.length}\n\n`;
+      loads.forEach(load => {
+        labwareText += `- ${load.line ? `Line ${load.line}: ` : ''}**${load.loadName}**${load.label ? ` "${load.label}"` : ''} - ${load.location} - ${source(load)}\n`;
+      });
+
+      const problems = this.formatLabwareProblems(labware);
+      if (problems) {
+        labwareText += `\n**Problems:**\n${problems}\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: labwareText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to list protocol labware: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  formatLabwareGeometry(definition) {
+    const ordering = definition.ordering || [];
+    const wells = definition.wells || {};
+    const dimensions = definition.dimensions || {};
+    const round = value => Math.round(value * 100) / 100;
+
+    let geometryText = `**Labware:** ${definition.metadata?.displayName || definition.parameters?.loadName} (${definition.parameters?.loadName})\n`;
+    geometryText += `**Format:** ${definition.parameters?.format || 'unknown'}, ${ordering[0]?.length || 0} row${ordering[0]?.length !== 1 ? 's' : ''} × ${ordering.length} column${ordering.length !== 1 ? 's' : ''}, ${Object.keys(wells).length} wells\n`;
+    geometryText += `**Footprint:** ${dimensions.xDimension} × ${dimensions.yDimension} mm, ${dimensions.zDimension} mm tall\n`;
+
+    const first = ordering[0]?.[0] && wells[ordering[0][0]];
+    const nextColumn = ordering[1]?.[0] && wells[ordering[1][0]];
+    const nextRow = ordering[0]?.[1] && wells[ordering[0][1]];
+    if (first && (nextColumn || nextRow)) {
+      geometryText += `**Well Spacing:** ${nextColumn ? `${round(Math.abs(nextColumn.x - first.x))} mm between columns` : ''}${nextColumn && nextRow ? ', ' : ''}${nextRow ? `${round(Math.abs(first.y - nextRow.y))} mm between rows` : ''}\n`;
+    }
+    if (definition.parameters?.isTiprack) {
+      geometryText += `**Tip Length:** ${definition.parameters.tipLength} mm${definition.parameters.tipOverlap !== undefined ? `, ${definition.parameters.tipOverlap} mm overlap` : ''}\n`;
+    }
+
+    // Group wells with the same shape so uniform labware is one line
+    const groups = new Map();
+    Object.entries(wells).forEach(([name, well]) => {
+      const size = well.shape === 'circular' ? `${well.diameter} mm diameter` : `${well.xDimension} × ${well.yDimension} mm`;
+      const key = `${well.shape}, ${size}, ${well.depth} mm deep, ${well.totalLiquidVolume} µL`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(name);
+    });
+
+    geometryText += `\n**Wells:**\n`;
+    groups.forEach((names, key) => {
+      const listed = names.length > 8 ? `${names.slice(0, 4).join(', ')} ... ${names[names.length - 1]}` : names.join(', ');
+      geometryText += `- ${key} (${names.length} well${names.length !== 1 ? 's' : ''}: ${listed})\n`;
+    });
+    return geometryText;
+  }
+
+  async getLabwareGeometry(args) {
+    const { file_path, run_id, load_name } = args;
+
+    try {
+      let definitions;
+      if (file_path) {
+        definitions = [this.readLabwareDefinition(file_path)];
+      } else if (run_id) {
+        const robot = this.resolveRobot(args);
+        const data = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}/loaded_labware_definitions`);
+        definitions = (data.data || []).filter(definition => !load_name || definition.parameters?.loadName === load_name);
+        if (definitions.length === 0) {
+          throw new Error(load_name ? `Run ${run_id} has not loaded '${load_name}'` : `Run ${run_id} has not loaded any labware yet`);
+        }
+      } else {
+        throw new Error('Pass file_path, or run_id (optionally with load_name) to read definitions the run has loaded');
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: definitions.map(definition => this.formatLabwareGeometry(definition)).join('\n---\n\n')
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get labware geometry: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Files are attached as file-backed Blobs where the runtime supports it, so large bundles
+  // stream from disk instead of being read into memory
+  async fileToBlob(filePath) {
+    if (typeof fs.openAsBlob === 'function') {
+      return fs.openAsBlob(filePath);
+    }
+    return new Blob([await fs.promises.readFile(filePath)]);
+  }
+
+  // POST a protocol and its support files to /protocols as multipart/form-data. The robot
+  // identifies the main protocol among the uploaded files, so every file goes in `files`.
+  async postProtocolFiles(robot, { file_path, support_files = [], protocol_kind = "standard", key, run_time_parameters }) {
+    const missing = support_files.filter(supportPath => !fs.existsSync(supportPath));
+    if (missing.length > 0) {
+      throw new Error(`Support file${missing.length !== 1 ? 's' : ''} not found: ${missing.join(', ')}`);
+    }
+
+    const form = new FormData();
+    for (const filePath of [file_path, ...support_files]) {
+      form.append('files', await this.fileToBlob(filePath), path.basename(filePath));
+    }
+
+    if (protocol_kind !== "standard") {
+      form.append('protocolKind', protocol_kind);
+    }
+    if (key) {
+      form.append('key', key);
+    }
+    if (run_time_parameters && Object.keys(run_time_parameters).length > 0) {
+      form.append('runTimeParameterValues', JSON.stringify(run_time_parameters));
+    }
+
+    const responseData = await this.makeApiRequest('POST', `${robot.baseUrl}/protocols`, { 'accept': 'application/json' }, form);
+    if (!responseData?.data?.id) {
+      throw new Error(`Unexpected response from robot: ${JSON.stringify(responseData).slice(0, 500)}`);
+    }
+    return responseData;
+  }
+
+  async uploadProtocol(args) {
+    const { file_path, support_files = [], labware_definitions = [], protocol_kind = "standard", key, run_time_parameters, skip_lint = false } = args;
+    let robot = null;
+    
+    try {
+      robot = this.resolveRobot(args);
+
+      const fileError = this.checkProtocolFile(file_path);
+      if (fileError) {
+        return {
+          content: [{
+            type: "text",
+            text: fileError
+          }]
+        };
+      }
+
+      const labware = skip_lint
+        ? null
+        : this.resolveLabwareDefinitions(file_path, [...labware_definitions, ...support_files.filter(f => this.isLabwareDefinitionFile(f))]);
+      const labwareProblems = labware && this.formatLabwareProblems(labware);
+      if (labwareProblems) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ **Upload blocked by labware problems**\n\n${labwareProblems}\nOr pass \`skip_lint: true\` to upload anyway.`
+          }]
+        };
+      }
+
+      const lint = skip_lint ? null : this.lintProtocolFile(file_path, robot.model, labware.loadNames);
+      if (lint?.findings.some(f => f.severity === 'error')) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ **Upload blocked by lint errors**\n\n${this.formatLintFindings(file_path, lint)}\nFix these, or pass \`skip_lint: true\` to upload anyway.`
+          }]
+        };
+      }
+
+      const uploadFiles = [...new Set([...support_files, ...(labware ? labware.files : labware_definitions)].map(f => path.resolve(f)))];
+      const responseData = await this.postProtocolFiles(robot, { file_path, support_files: uploadFiles, protocol_kind, key, run_time_parameters });
+
+      // Check for errors in response
+      if (responseData.errors || (responseData.data && responseData.data.errors)) {
+        const errors = responseData.errors || responseData.data.errors || [];
+        let errorDetails = `❌ **Upload failed**\n\n`;
+        
+        if (errors.length > 0) {
+          errorDetails += `**Protocol Errors**:\n${errors.map(err => `- ${err.detail || err.message || err}`).join('\n')}\n`;
+        } else {
+          errorDetails += `**Error**: ${responseData.message || 'Unknown error'}\n`;
+        }
+        
+        errorDetails += `\n**Troubleshooting**:\n`;
+        errorDetails += `- Check robot is connected: \`curl ${robot.baseUrl}/health\`\n`;
+        errorDetails += `- Verify protocol file syntax\n`;
+        errorDetails += `- Try uploading via Opentrons App first\n`;
+        
+        return {
+          content: [{
+            type: "text",
+            text: errorDetails
+          }]
+        };
+      }
+
+      // Success response
+      const protocolId = responseData?.data?.id;
+      const protocolName = responseData?.data?.metadata?.protocolName || path.basename(file_path);
+      const apiVersion = responseData?.data?.metadata?.apiLevel || 'Unknown';
+      
+      let successMsg = `✅ **Protocol uploaded successfully!**\n\n`;
+      successMsg += `**Protocol ID**: \`${protocolId}\`\n`;
+      successMsg += `**Name**: ${protocolName}\n`;
+      successMsg += `**API Version**: ${apiVersion}\n`;
+      successMsg += `**File**: ${path.basename(file_path)}\n`;
+      if (lint?.findings.length > 0) {
+        successMsg += `\n${this.formatLintFindings(file_path, lint)}\n`;
+      }
+      
+      if (uploadFiles.length > 0) {
+        successMsg += `**Support Files**: ${uploadFiles.length} files\n`;
+      }
+      if (labware?.autoAttached.length > 0) {
+        successMsg += `**Custom Labware Found Next to Protocol**: ${labware.autoAttached.map(entry => path.basename(entry.path)).join(', ')}\n`;
+      }
+      
+      successMsg += `\n**Next Steps**:\n`;
+      successMsg += `1. Create a run: \`POST /runs\` with \`{"data": {"protocolId": "${protocolId}"}}\`\n`;
+      successMsg += `2. Start run: \`POST /runs/{run_id}/actions\` with \`{"data": {"actionType": "play"}}\`\n`;
+      
+      // Check for analysis warnings
+      if (responseData?.data?.analyses?.length > 0) {
+        const analysis = responseData.data.analyses[0];
+        if (analysis.status === 'completed' && analysis.result === 'ok') {
+          successMsg += `\n✅ **Protocol analysis passed** - Ready to run\n`;
+        } else if (analysis.status === 'completed' && analysis.result === 'error') {
+          successMsg += `\n⚠️ **Protocol analysis found issues** - Check protocol before running. Use \`get_protocol_analysis\` for details\n`;
+        }
+      }
+      
+      return {
+        content: [{
+          type: "text",
+          text: successMsg
+        }]
+      };
+
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ **Upload error**: ${error.message}\n\n**Possible causes**:\n- Robot not reachable at ${robot ? robot.baseUrl : 'the requested robot'}\n- Network connectivity issues\n- File permissions\n- Protocol rejected by the robot (see error above)\n\n**Debug info**: ${error.stack?.split('\n')[0] || 'No stack trace'}`
+        }]
+      };
+    }
+  }
+
+  async getProtocols(args) {
+    const { protocol_kind } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const data = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/protocols`
+      );
+      
+      let protocols = data.data || [];
+      
+      // Filter by kind if specified
+      if (protocol_kind) {
+        protocols = protocols.filter(p => p.protocolKind === protocol_kind);
+      }
+      
+      if (protocols.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `No protocols found on robot${protocol_kind ? ` of type '${protocol_kind}'` : ''}.`
+            }
+          ]
+        };
+      }
+      
+      const protocolList = protocols.map(p => {
+        const analysis = p.analysisSummaries?.[0];
+        return `**${p.metadata?.protocolName || p.files[0]?.name || 'Unnamed Protocol'}**\n` +
+               `  ID: ${p.id}\n` +
+               `  Type: ${p.protocolKind || 'standard'}\n` +
+               `  Created: ${new Date(p.createdAt).toLocaleString()}\n` +
+               `  Analysis: ${analysis?.status || 'No analysis'}\n` +
+               `  Author: ${p.metadata?.author || 'Unknown'}\n`;
+      }).join('\n');
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${protocols.length} protocol${protocols.length !== 1 ? 's' : ''} on robot:\n\n${protocolList}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get protocols: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async postRun(robot, protocolId, runTimeParameters = null, runTimeParameterFiles = null) {
+    const body = {
+      data: {
+        protocolId
+      }
+    };
+    
+    if (runTimeParameters) {
+      body.data.runTimeParameterValues = runTimeParameters;
+    }
+    if (runTimeParameterFiles) {
+      body.data.runTimeParameterFiles = runTimeParameterFiles;
+    }
+    
+    const data = await this.makeApiRequest(
+      'POST',
+      `${robot.baseUrl}/runs`,
+      { 'Content-Type': 'application/json' },
+      JSON.stringify(body)
+    );
+    
+    return data.data;
+  }
+
+  async postRunAction(robot, runId, action) {
+    const body = {
+      data: {
+        actionType: action
+      }
+    };
+    
+    const data = await this.makeApiRequest(
+      'POST',
+      `${robot.baseUrl}/runs/${runId}/actions`,
+      { 'Content-Type': 'application/json' },
+      JSON.stringify(body)
+    );
+    
+    return data.data;
+  }
+
+  // Fetch a completed protocol analysis; without an analysis ID, the protocol's latest one
+  async fetchProtocolAnalysis(robot, protocolId, analysisId = null) {
+    let id = analysisId;
+    if (!id) {
+      const protocolData = await this.makeApiRequest('GET', `${robot.baseUrl}/protocols/${protocolId}`);
+      const summaries = protocolData.data?.analysisSummaries || [];
+      if (summaries.length === 0) {
+        throw new Error(`Protocol ${protocolId} has no analyses yet`);
+      }
+      id = summaries[summaries.length - 1].id;
+    }
+
+    const analysisData = await this.makeApiRequest('GET', `${robot.baseUrl}/protocols/${protocolId}/analyses/${id}`);
+    return analysisData.data;
+  }
+
+  // Human-readable location for a labware or module from an analysis
+  formatLocation(location, labwareById = {}, modulesById = {}) {
+    if (!location) return 'Unknown';
+    if (location === 'offDeck') return 'Off deck';
+    if (typeof location === 'string') return location;
+    if (location.slotName) return `Slot ${location.slotName}`;
+    if (location.addressableAreaName) return location.addressableAreaName;
+    if (location.moduleId) {
+      const module = modulesById[location.moduleId];
+      return module ? `on ${module.model} in ${this.formatLocation(module.location)}` : `on module ${location.moduleId}`;
+    }
+    if (location.labwareId) {
+      const labware = labwareById[location.labwareId];
+      return labware ? `on ${labware.displayName || labware.loadName}` : `on labware ${location.labwareId}`;
+    }
+    return JSON.stringify(location);
+  }
+
+  // One-line description of an analysis or run command
+  describeCommand(command, labwareById = {}, pipettesById = {}) {
+    const params = command.params || {};
+    const labwareName = id => {
+      const labware = labwareById[id];
+      return labware ? (labware.displayName || labware.loadName) : id;
+    };
+    const well = () => (params.labwareId ? `${labwareName(params.labwareId)} ${params.wellName || ''}`.trim() : '');
+
+    switch (command.commandType) {
+      case 'loadPipette':
+        return `Load ${params.pipetteName} on ${params.mount} mount`;
+      case 'loadLabware':
+        return `Load ${params.displayName || params.loadName} (${this.formatLocation(params.location, labwareById)})`;
+      case 'loadModule':
+        return `Load ${params.model} (${this.formatLocation(params.location)})`;
+      case 'loadLiquid':
+        return `Load liquid ${params.liquidId} into ${labwareName(params.labwareId)} ${Object.keys(params.volumeByWell || {}).join(', ')}`;
+      case 'pickUpTip':
+        return `Pick up tip from ${well()}`;
+      case 'dropTip':
+        return `Drop tip in ${well()}`;
+      case 'aspirate':
+      case 'dispense':
+        return `${command.commandType === 'aspirate' ? 'Aspirate' : 'Dispense'} ${params.volume} µL ${command.commandType === 'aspirate' ? 'from' : 'into'} ${well()}`;
+      case 'blowout':
+        return `Blow out in ${well()}`;
+      case 'moveToWell':
+        return `Move to ${well()}`;
+      case 'moveLabware':
+        return `Move ${labwareName(params.labwareId)} to ${this.formatLocation(params.newLocation, labwareById)}`;
+      case 'comment':
+        return `Comment: ${params.message}`;
+      case 'waitForDuration':
+      case 'delay':
+        return `Delay ${params.seconds}s${params.message ? ` (${params.message})` : ''}`;
+      case 'waitForResume':
+      case 'pause':
+        return `Pause${params.message ? `: ${params.message}` : ''}`;
+      default: {
+        const pipette = params.pipetteId && pipettesById[params.pipetteId];
+        return `${command.commandType}${pipette ? ` (${pipette.pipetteName})` : ''}${params.labwareId ? ` ${well()}` : ''}`;
+      }
+    }
+  }
+
+  async getProtocolAnalysis(args) {
+    const { protocol_id, analysis_id, format = "text", max_commands = 200 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const analysis = await this.fetchProtocolAnalysis(robot, protocol_id, analysis_id);
+
+      if (format === 'json') {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `\`\`\`json\n${JSON.stringify(analysis, null, 2)}\n\`\`\``
+            }
+          ]
+        };
+      }
+
+      const labware = analysis.labware || [];
+      const modules = analysis.modules || [];
+      const pipettes = analysis.pipettes || [];
+      const commands = analysis.commands || [];
+      const errors = analysis.errors || [];
+      const labwareById = Object.fromEntries(labware.map(l => [l.id, l]));
+      const modulesById = Object.fromEntries(modules.map(m => [m.id, m]));
+      const pipettesById = Object.fromEntries(pipettes.map(p => [p.id, p]));
+
+      // Display names only appear on the loadLabware commands
+      commands.filter(c => c.commandType === 'loadLabware' && c.result?.labwareId).forEach(c => {
+        if (labwareById[c.result.labwareId] && c.params?.displayName) {
+          labwareById[c.result.labwareId] = { ...labwareById[c.result.labwareId], displayName: c.params.displayName };
+        }
+      });
+
+      const resultIcon = analysis.result === 'ok' ? '✅' : analysis.result === 'parameter-value-required' ? '⚠️' : '❌';
+      let analysisText = `# Protocol Analysis ${analysis.id}\n\n`;
+      analysisText += `**Protocol ID:** ${protocol_id}\n`;
+      analysisText += `**Status:** ${analysis.status}\n`;
+      analysisText += `**Result:** ${resultIcon} ${analysis.result || 'N/A'}\n`;
+      analysisText += `**Robot Type:** ${analysis.robotType || 'Unknown'}\n`;
+      analysisText += `**Commands:** ${commands.length}\n\n`;
+
+      if (errors.length > 0) {
+        analysisText += `## Errors\n\n`;
+        errors.forEach(err => {
+          let index = commands.findIndex(c => c.error && c.error.id === err.id);
+          if (index === -1) index = commands.findIndex(c => c.status === 'failed');
+          analysisText += `- **${err.errorType || 'Error'}**${index !== -1 ? ` at command ${index + 1} (${commands[index].commandType})` : ''}: ${err.detail || 'No details'}\n`;
+          (err.wrappedErrors || []).forEach(wrapped => {
+            analysisText += `  - ${wrapped.errorType || 'Error'}: ${wrapped.detail || 'No details'}\n`;
+          });
+        });
+        analysisText += '\n';
+      }
+
+      analysisText += `## Pipettes\n\n`;
+      analysisText += pipettes.length > 0
+        ? pipettes.map(p => `- ${p.pipetteName} on ${p.mount} mount`).join('\n') + '\n\n'
+        : `None\n\n`;
+
+      analysisText += `## Labware\n\n`;
+      analysisText += labware.length > 0
+        ? labware.map(l => `- ${labwareById[l.id].displayName ? `${labwareById[l.id].displayName} - ` : ''}${l.loadName} (${this.formatLocation(l.location, labwareById, modulesById)})`).join('\n') + '\n\n'
+        : `None\n\n`;
+
+      analysisText += `## Modules\n\n`;
+      analysisText += modules.length > 0
+        ? modules.map(m => `- ${m.model} (${this.formatLocation(m.location)})`).join('\n') + '\n\n'
+        : `None\n\n`;
+
+      const liquids = analysis.liquids || [];
+      analysisText += `## Liquids\n\n`;
+      analysisText += liquids.length > 0
+        ? liquids.map(l => `- ${l.displayName}${l.description ? `: ${l.description}` : ''}${l.displayColor ? ` (${l.displayColor})` : ''}`).join('\n') + '\n\n'
+        : `None\n\n`;
+
+      const parameters = analysis.runTimeParameters || [];
+      if (parameters.length > 0) {
+        analysisText += `## Runtime Parameters\n\n`;
+        parameters.forEach(param => {
+          analysisText += `- **${param.displayName}** (\`${param.variableName}\`, ${param.type}): ${JSON.stringify(param.value)}${param.value !== param.default ? ` (default ${JSON.stringify(param.default)})` : ''}\n`;
+        });
+        analysisText += '\n';
+      }
+
+      analysisText += `## Commands\n\n`;
+      commands.slice(0, max_commands).forEach((command, i) => {
+        analysisText += `${i + 1}. ${command.status === 'failed' ? '❌ ' : ''}${this.describeCommand(command, labwareById, pipettesById)}\n`;
+      });
+      if (commands.length > max_commands) {
+        analysisText += `\n... ${commands.length - max_commands} more commands (raise max_commands or use format "json" to see all)\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: analysisText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get protocol analysis: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Describe a runtime parameter declaration from an analysis: type, range or choices, default
+  describeRuntimeParameter(param) {
+    const details = [param.type];
+    if (param.min !== undefined && param.max !== undefined) {
+      details.push(`${param.min} to ${param.max}${param.suffix ? ` ${param.suffix}` : ''}`);
+    }
+    if (param.choices && param.choices.length > 0) {
+      details.push(`choices: ${param.choices.map(c => `${JSON.stringify(c.value)}${c.displayName && c.displayName !== String(c.value) ? ` (${c.displayName})` : ''}`).join(', ')}`);
+    }
+    if (param.default !== undefined && param.type !== 'csv_file') {
+      details.push(`default ${JSON.stringify(param.default)}`);
+    }
+    return `**${param.displayName}** (\`${param.variableName}\`, ${details.join(', ')})${param.description ? ` - ${param.description}` : ''}`;
+  }
+
+  // Check values against the declared parameters before asking the robot to analyze them
+  checkRuntimeParameterValues(declared, values = {}, files = {}) {
+    const problems = [];
+    const byName = Object.fromEntries(declared.map(p => [p.variableName, p]));
+
+    Object.entries(values).forEach(([name, value]) => {
+      const param = byName[name];
+      if (!param) {
+        problems.push(`\`${name}\` is not a parameter of this protocol`);
+        return;
+      }
+      if (param.type === 'csv_file') {
+        problems.push(`\`${name}\` is a CSV parameter - pass it in csv_files`);
+        return;
+      }
+      if (param.choices && param.choices.length > 0) {
+        if (!param.choices.some(c => c.value === value)) {
+          problems.push(`\`${name}\` must be one of ${param.choices.map(c => JSON.stringify(c.value)).join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        return;
+      }
+      if (param.type === 'bool' && typeof value !== 'boolean') {
+        problems.push(`\`${name}\` must be true or false`);
+      } else if (param.type === 'str' && typeof value !== 'string') {
+        problems.push(`\`${name}\` must be a string`);
+      } else if (['int', 'float'].includes(param.type)) {
+        if (typeof value !== 'number' || (param.type === 'int' && !Number.isInteger(value))) {
+          problems.push(`\`${name}\` must be ${param.type === 'int' ? 'an integer' : 'a number'}`);
+        } else if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+          problems.push(`\`${name}\` must be between ${param.min} and ${param.max} (got ${value})`);
+        }
+      }
+    });
+
+    Object.keys(files).forEach(name => {
+      const param = byName[name];
+      if (!param) {
+        problems.push(`\`${name}\` is not a parameter of this protocol`);
+      } else if (param.type !== 'csv_file') {
+        problems.push(`\`${name}\` is a ${param.type} parameter, not a CSV file`);
+      }
+    });
+
+    return problems;
+  }
+
+  async uploadDataFile(robot, filePath) {
+    const form = new FormData();
+    form.append('file', await this.fileToBlob(filePath), path.basename(filePath));
+    const data = await this.makeApiRequest('POST', `${robot.baseUrl}/dataFiles`, { 'accept': 'application/json' }, form);
+    return data.data;
+  }
+
+  async analyzeWithParameters(args) {
+    const { protocol_id, run_time_parameters = {}, csv_files = {}, timeout = 300 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+
+      // The latest analysis tells us which parameters the protocol declares
+      const previous = await this.fetchProtocolAnalysis(robot, protocol_id);
+      const declared = previous.runTimeParameters || [];
+
+      let analysisText = `# Runtime Parameter Check\n\n**Protocol ID:** ${protocol_id}\n\n`;
+      analysisText += `## Declared Parameters\n\n`;
+      analysisText += declared.length > 0
+        ? declared.map(param => `- ${this.describeRuntimeParameter(param)}`).join('\n') + '\n\n'
+        : `This protocol declares no runtime parameters.\n\n`;
+
+      const problems = this.checkRuntimeParameterValues(declared, run_time_parameters, csv_files);
+      if (problems.length > 0) {
+        analysisText += `## ❌ Invalid Values\n\n${problems.map(p => `- ${p}`).join('\n')}\n\nNo analysis was started.\n`;
+        return {
+          content: [
+            {
+              type: "text",
+              text: analysisText
+            }
+          ]
+        };
+      }
+
+      // CSV parameters take data file IDs; upload any local paths first
+      const fileIds = {};
+      for (const [name, value] of Object.entries(csv_files)) {
+        if (fs.existsSync(value)) {
+          const dataFile = await this.uploadDataFile(robot, value);
+          fileIds[name] = dataFile.id;
+          analysisText += `📄 Uploaded ${path.basename(value)} as data file \`${dataFile.id}\` for \`${name}\`\n`;
+        } else {
+          fileIds[name] = value;
+        }
+      }
+      if (Object.keys(fileIds).length > 0) {
+        analysisText += '\n';
+      }
+
+      const body = {
+        data: {
+          runTimeParameterValues: run_time_parameters,
+          runTimeParameterFiles: fileIds
+        }
+      };
+      await this.makeApiRequest(
+        'POST',
+        `${robot.baseUrl}/protocols/${protocol_id}/analyses`,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify(body)
+      );
+
+      const { analysis: summary, timedOut } = await this.waitForAnalysis(robot, protocol_id, { timeoutMs: timeout * 1000 });
+      if (timedOut) {
+        analysisText += `⏱️ **Analysis did not complete within ${timeout}s** (status: ${summary?.status || 'unknown'})\n`;
+        return {
+          content: [
+            {
+              type: "text",
+              text: analysisText
+            }
+          ]
+        };
+      }
+
+      const analysis = await this.fetchProtocolAnalysis(robot, protocol_id, summary.id);
+      const errors = analysis.errors || [];
+      const passed = analysis.result === 'ok' && errors.length === 0;
+
+      analysisText += `## Result\n\n`;
+      analysisText += passed
+        ? `✅ **These parameter values pass analysis** (analysis \`${analysis.id}\`)\n\n`
+        : `❌ **Analysis ${analysis.result || 'failed'}** with these values (analysis \`${analysis.id}\`)\n\n`;
+
+      if (errors.length > 0) {
+        analysisText += `**Errors:**\n`;
+        errors.forEach(err => {
+          analysisText += `- ${err.errorType ? `[${err.errorType}] ` : ''}${err.detail || 'No details'}\n`;
+        });
+        analysisText += '\n';
+      }
+
+      const analyzed = analysis.runTimeParameters || [];
+      if (analyzed.length > 0) {
+        analysisText += `**Values Used:**\n`;
+        analyzed.forEach(param => {
+          const value = param.type === 'csv_file' ? (param.file?.name || param.file?.id || 'none') : JSON.stringify(param.value);
+          analysisText += `- \`${param.variableName}\`: ${value}${param.type !== 'csv_file' && param.value !== param.default ? ' (changed from default)' : ''}\n`;
+        });
+        analysisText += '\n';
+      }
+
+      if (passed) {
+        analysisText += `Create a run with the same \`run_time_parameters\`${Object.keys(fileIds).length > 0 ? ` and \`run_time_parameter_files: ${JSON.stringify(fileIds)}\`` : ''} to use these values.\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: analysisText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to analyze with parameters: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async createRun(args) {
+    const { protocol_id, run_time_parameters, run_time_parameter_files } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const run = await this.postRun(robot, protocol_id, run_time_parameters, run_time_parameter_files);
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Run created successfully!\n\n` +
+                  `**Run ID:** ${run.id}\n` +
+                  `**Status:** ${run.status}\n` +
+                  `**Protocol ID:** ${run.protocolId}\n` +
+                  `**Created:** ${new Date(run.createdAt).toLocaleString()}\n\n` +
+                  `Use the run ID to control execution (play/pause/stop).`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to create run: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async controlRun(args) {
+    const { run_id, action } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const actionData = await this.postRunAction(robot, run_id, action);
+      
+      // Get updated run status
+      const runData = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/runs/${run_id}`
+      );
+      
+      const run = runData.data;
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Run action '${action}' executed successfully!\n\n` +
+                  `**Action ID:** ${actionData.id}\n` +
+                  `**Run Status:** ${run.status}\n` +
+                  `**Current Action:** ${run.actions?.[run.actions.length - 1]?.actionType || 'None'}\n` +
+                  `**Completed At:** ${run.completedAt ? new Date(run.completedAt).toLocaleString() : 'Not completed'}\n`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to control run: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Offsets come in two shapes: run offsets use `location` ({slotName, moduleModel, definitionUri}),
+  // offsets stored with /labwareOffsets use `locationSequence` (innermost first). Convert between them.
+  offsetLocationToSequence(location = {}) {
+    const sequence = [];
+    if (location.definitionUri) sequence.push({ kind: 'onLabware', labwareUri: location.definitionUri });
+    if (location.moduleModel) sequence.push({ kind: 'onModule', moduleModel: location.moduleModel });
+    sequence.push({ kind: 'onAddressableArea', addressableAreaName: location.slotName });
+    return sequence;
+  }
+
+  offsetSequenceToLocation(sequence = []) {
+    const location = {};
+    sequence.forEach(step => {
+      if (step.kind === 'onLabware') location.definitionUri = step.labwareUri;
+      if (step.kind === 'onModule') location.moduleModel = step.moduleModel;
+      if (step.kind === 'onAddressableArea') location.slotName = step.addressableAreaName;
+    });
+    return location;
+  }
+
+  // Reduce an offset to the fields needed to recreate it, in run (`location`) form
+  normalizeLabwareOffset(offset) {
+    const location = offset.location || (Array.isArray(offset.locationSequence) ? this.offsetSequenceToLocation(offset.locationSequence) : null);
+    const vector = offset.vector || {};
+    const problems = [];
+    if (typeof offset.definitionUri !== 'string' || offset.definitionUri.split('/').length !== 3) {
+      problems.push('definitionUri must look like namespace/loadName/version');
+    }
+    if (!location?.slotName) {
+      problems.push('location.slotName is required');
+    }
+    ['x', 'y', 'z'].forEach(axis => {
+      if (typeof vector[axis] !== 'number' || !Number.isFinite(vector[axis])) problems.push(`vector.${axis} must be a number`);
+    });
+    if (problems.length > 0) {
+      throw new Error(`Invalid offset${offset.definitionUri ? ` for ${offset.definitionUri}` : ''}: ${problems.join(', ')}`);
+    }
+
+    const normalized = { definitionUri: offset.definitionUri, location: { slotName: location.slotName }, vector: { x: vector.x, y: vector.y, z: vector.z } };
+    if (location.moduleModel) normalized.location.moduleModel = location.moduleModel;
+    if (location.definitionUri) normalized.location.definitionUri = location.definitionUri;
+    return normalized;
+  }
+
+  // Offsets the robot reports are converted where possible; ones this tool can't read (no addressable
+  // area in their locationSequence, say) are set aside instead of failing the whole list
+  convertibleLabwareOffsets(offsets) {
+    const converted = [];
+    const skipped = [];
+    offsets.forEach(offset => {
+      try {
+        converted.push({ ...offset, ...this.normalizeLabwareOffset(offset) });
+      } catch (error) {
+        skipped.push(offset);
+      }
+    });
+    return { converted, skipped };
+  }
+
+  formatSkippedLabwareOffsets(skipped) {
+    if (skipped.length === 0) return '';
+    return `\n⚠️ Skipped ${skipped.length} offset${skipped.length !== 1 ? 's' : ''} with a location this tool can't read: ` +
+      `${skipped.map(offset => `${offset.definitionUri || 'unknown labware'}${offset.id ? ` (\`${offset.id}\`)` : ''}`).join(', ')}\n`;
+  }
+
+  // Offsets from the same labware in the same place replace each other; the last one wins
+  dedupeLabwareOffsets(offsets) {
+    const byKey = new Map();
+    offsets.forEach(offset => {
+      const { slotName, moduleModel = '', definitionUri = '' } = offset.location;
+      byKey.set(`${offset.definitionUri}|${slotName}|${moduleModel}|${definitionUri}`, offset);
+    });
+    return [...byKey.values()];
+  }
+
+  formatLabwareOffsets(offsets) {
+    if (offsets.length === 0) return `No labware offsets.\n`;
+
+    const round = value => (Math.round(value * 100) / 100).toFixed(2);
+    return offsets.map(offset => {
+      const location = offset.location || (Array.isArray(offset.locationSequence) ? this.offsetSequenceToLocation(offset.locationSequence) : {});
+      const vector = offset.vector || {};
+      if (!location.slotName || ['x', 'y', 'z'].some(axis => typeof vector[axis] !== 'number')) {
+        return `- **${offset.definitionUri || 'Unknown labware'}** - location not readable${offset.id ? ` (\`${offset.id}\`)` : ''}\n`;
+      }
+      let where = `Slot ${location.slotName}`;
+      if (location.moduleModel) where += ` on ${location.moduleModel}`;
+      if (location.definitionUri) where += ` on ${location.definitionUri}`;
+      return `- **${offset.definitionUri}** - ${where}: x ${round(vector.x)}, y ${round(vector.y)}, z ${round(vector.z)} mm` +
+        `${offset.createdAt ? ` (${new Date(offset.createdAt).toLocaleString()})` : ''}\n`;
+    }).join('');
+  }
+
+  async fetchRunLabwareOffsets(robot, runId) {
+    const data = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${runId}`);
+    return { run: data.data, offsets: data.data.labwareOffsets || [] };
+  }
+
+  async fetchStoredLabwareOffsets(robot) {
+    try {
+      const data = await this.makeApiRequest('GET', `${robot.baseUrl}/labwareOffsets?pageLength=1000`);
+      return data.data || [];
+    } catch (error) {
+      if (error.message.includes('API Error 404')) {
+        throw new Error(`${robot.name} does not store labware offsets outside of runs (needs robot software 8.4 or newer). Use get_run_labware_offsets instead`);
+      }
+      throw error;
+    }
+  }
+
+  // Add offsets to a run. The robot only accepts them before the run starts.
+  async addRunLabwareOffsets(robot, runId, offsets) {
+    const { run } = await this.fetchRunLabwareOffsets(robot, runId);
+    if (run.status !== 'idle' || (run.actions || []).some(action => action.actionType === 'play')) {
+      throw new Error(`Run ${runId} has already started (status: ${run.status}); offsets can only be added before the first play`);
+    }
+
+    const added = [];
+    for (const offset of offsets) {
+      const data = await this.makeApiRequest(
+        'POST',
+        `${robot.baseUrl}/runs/${runId}/labware_offsets`,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify({ data: offset })
+      );
+      added.push(data.data || offset);
+    }
+    return added;
+  }
+
+  async listLabwareOffsets(args) {
+    const { definition_uri, slot } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const { converted, skipped } = this.convertibleLabwareOffsets(
+        (await this.fetchStoredLabwareOffsets(robot)).filter(offset => !definition_uri || offset.definitionUri === definition_uri)
+      );
+      const offsets = converted.filter(offset => !slot || offset.location.slotName === slot);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**Stored Labware Offsets on ${robot.name}:** ${offsets.length}\n\n` + this.formatLabwareOffsets(offsets) + this.formatSkippedLabwareOffsets(skipped)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to list labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async getRunLabwareOffsets(args) {
+    const { run_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const { run, offsets } = await this.fetchRunLabwareOffsets(robot, run_id);
+
+      let offsetText = `**Run:** \`${run_id}\` (${run.status})\n`;
+      offsetText += `**Protocol ID:** ${run.protocolId || 'None'}\n`;
+      offsetText += `**Labware Offsets:** ${offsets.length}\n\n`;
+      offsetText += this.formatLabwareOffsets(offsets);
+
+      // Loaded labware point at the offset they picked up, so unmatched ones are easy to spot
+      const labware = run.labware || [];
+      if (labware.length > 0) {
+        offsetText += `\n**Loaded Labware Using an Offset:** ${labware.filter(item => item.offsetId).length} of ${labware.length}\n`;
+        labware.filter(item => !item.offsetId).forEach(item => {
+          offsetText += `- No offset: ${item.displayName || item.loadName} - ${this.formatLocation(item.location)}\n`;
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: offsetText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get run labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async applyLabwareOffsets(args) {
+    const { run_id, offsets, file_path } = args;
+
+    try {
+      if (!offsets && !file_path) {
+        throw new Error('Pass offsets, or file_path to a file written by export_labware_offsets');
+      }
+      const robot = this.resolveRobot(args);
+      const source = offsets || this.readLabwareOffsetsFile(file_path).offsets;
+      const added = await this.addRunLabwareOffsets(robot, run_id, this.dedupeLabwareOffsets(source.map(offset => this.normalizeLabwareOffset(offset))));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Applied ${added.length} labware offset${added.length !== 1 ? 's' : ''} to run \`${run_id}\`\n\n` + this.formatLabwareOffsets(added)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to apply labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async copyLabwareOffsets(args) {
+    const { run_id, from_run_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const { run } = await this.fetchRunLabwareOffsets(robot, run_id);
+
+      let sourceRunId = from_run_id;
+      if (!sourceRunId) {
+        const runsData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs`);
+        const previous = (runsData.data || [])
+          .filter(r => r.id !== run_id && r.protocolId === run.protocolId && r.status === 'succeeded')
+          .pop();
+        if (!previous) {
+          throw new Error(`No succeeded run of protocol ${run.protocolId} found on ${robot.name}; pass from_run_id to copy from another run`);
+        }
+        sourceRunId = previous.id;
+      }
+
+      const { offsets } = await this.fetchRunLabwareOffsets(robot, sourceRunId);
+      if (offsets.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: `Run \`${sourceRunId}\` has no labware offsets to copy.`
+          }]
+        };
+      }
+
+      const { converted, skipped } = this.convertibleLabwareOffsets(offsets);
+      const added = await this.addRunLabwareOffsets(robot, run_id, this.dedupeLabwareOffsets(converted.map(offset => this.normalizeLabwareOffset(offset))));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Copied ${added.length} labware offset${added.length !== 1 ? 's' : ''} from run \`${sourceRunId}\` to run \`${run_id}\`\n\n` + this.formatLabwareOffsets(added) + this.formatSkippedLabwareOffsets(skipped)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to copy labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  readLabwareOffsetsFile(file_path) {
+    if (!fs.existsSync(file_path)) {
+      throw new Error(`Offsets file not found: ${file_path}`);
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file_path, 'utf8'));
+    } catch (error) {
+      throw new Error(`${path.basename(file_path)} is not valid JSON: ${error.message}`);
+    }
+    const offsets = Array.isArray(data) ? data : data.offsets;
+    if (!Array.isArray(offsets)) {
+      throw new Error(`${path.basename(file_path)} has no "offsets" list`);
+    }
+    return { ...(Array.isArray(data) ? {} : data), offsets };
+  }
+
+  async exportLabwareOffsets(args) {
+    const { output_path, run_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const offsets = run_id
+        ? (await this.fetchRunLabwareOffsets(robot, run_id)).offsets
+        : await this.fetchStoredLabwareOffsets(robot);
+
+      const { converted, skipped } = this.convertibleLabwareOffsets(offsets);
+      const exported = {
+        exportedAt: new Date().toISOString(),
+        robot: { name: robot.name, model: robot.model || null },
+        source: run_id ? `run ${run_id}` : 'stored offsets',
+        offsets: this.dedupeLabwareOffsets(converted.map(offset => this.normalizeLabwareOffset(offset)))
+      };
+      fs.writeFileSync(output_path, JSON.stringify(exported, null, 2) + '\n');
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Exported ${exported.offsets.length} labware offset${exported.offsets.length !== 1 ? 's' : ''} from ${exported.source} on ${robot.name}\n\n` +
+                  `**File:** ${output_path}\n\n` +
+                  this.formatLabwareOffsets(exported.offsets) +
+                  this.formatSkippedLabwareOffsets(skipped) +
+                  `\nOffsets are only valid on a robot with the same model and calibrated deck. Import with \`import_labware_offsets\`.`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to export labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async importLabwareOffsets(args) {
+    const { file_path, run_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const file = this.readLabwareOffsetsFile(file_path);
+      const offsets = this.dedupeLabwareOffsets(file.offsets.map(offset => this.normalizeLabwareOffset(offset)));
+
+      if (file.robot?.model && robot.model && file.robot.model !== robot.model) {
+        throw new Error(`Offsets were exported from a ${file.robot.model} (${file.robot.name}) but ${robot.name} is a ${robot.model}`);
+      }
+
+      let added;
+      if (run_id) {
+        added = await this.addRunLabwareOffsets(robot, run_id, offsets);
+      } else {
+        await this.fetchStoredLabwareOffsets(robot);
+        added = [];
+        for (const offset of offsets) {
+          const data = await this.makeApiRequest(
+            'POST',
+            `${robot.baseUrl}/labwareOffsets`,
+            { 'Content-Type': 'application/json' },
+            JSON.stringify({
+              data: {
+                definitionUri: offset.definitionUri,
+                locationSequence: this.offsetLocationToSequence(offset.location),
+                vector: offset.vector
+              }
+            })
+          );
+          added.push(data.data || offset);
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Imported ${added.length} labware offset${added.length !== 1 ? 's' : ''} ${run_id ? `into run \`${run_id}\`` : `into ${robot.name}'s stored offsets`}\n\n` +
+                  `**From:** ${file_path}${file.robot?.name ? ` (exported from ${file.robot.name}${file.exportedAt ? ` on ${new Date(file.exportedAt).toLocaleString()}` : ''})` : ''}\n\n` +
+                  this.formatLabwareOffsets(added)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to import labware offsets: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Accepts "A3" or "cutoutA3"
+  normalizeCutout(name) {
+    const match = /^(?:cutout)?([A-D])([1-3])$/i.exec(String(name).trim());
+    return match ? `cutout${match[1].toUpperCase()}${match[2]}` : null;
+  }
+
+  async fetchDeckConfiguration(robot) {
+    if (robot.model === 'OT-2') {
+      throw new Error(`${robot.name} is an OT-2; deck configuration is only available on a Flex`);
+    }
+    const data = await this.makeApiRequest('GET', `${robot.baseUrl}/deck_configuration`);
+    return data.data || { cutoutFixtures: [] };
+  }
+
+  formatDeckConfiguration(cutoutFixtures) {
+    const byCutout = new Map(cutoutFixtures.map(fixture => [fixture.cutoutId, fixture]));
+    const label = id => this.deckFixtures[id]?.label || id || 'Empty';
+
+    let deckText = `|   | 1 | 2 | 3 | 4 |\n|---|---|---|---|---|\n`;
+    ['A', 'B', 'C', 'D'].forEach(row => {
+      const cells = [1, 2, 3].map(column => label(byCutout.get(`cutout${row}${column}`)?.cutoutFixtureId));
+      const right = this.deckFixtures[byCutout.get(`cutout${row}3`)?.cutoutFixtureId];
+      cells.push(right?.staging ? 'Staging slot' : '—');
+      deckText += `| **${row}** | ${cells.join(' | ')} |\n`;
+    });
+
+    const modules = cutoutFixtures.filter(fixture => fixture.opentronsModuleSerialNumber);
+    if (modules.length > 0) {
+      deckText += `\n**Module Serials:**\n`;
+      modules.forEach(fixture => {
+        deckText += `- ${fixture.cutoutId.replace('cutout', '')}: ${label(fixture.cutoutFixtureId)} \`${fixture.opentronsModuleSerialNumber}\`\n`;
+      });
+    }
+    return deckText;
+  }
+
+  // Problems with a full set of cutout fixtures, as {severity, message}
+  // Fixtures missing from the deckFixtures table are only errors where the user asked for them; newer
+  // fixtures already on the robot (a Flex Stacker, say) are kept as they are
+  validateDeckConfiguration(cutoutFixtures, changedCutouts = null) {
+    const problems = [];
+    const byCutout = new Map();
+
+    cutoutFixtures.forEach(({ cutoutId, cutoutFixtureId }) => {
+      const fixture = this.deckFixtures[cutoutFixtureId];
+      if (!fixture && changedCutouts && !changedCutouts.has(cutoutId)) {
+        problems.push({ severity: 'warning', message: `${cutoutId.replace('cutout', '')} keeps '${cutoutFixtureId}', a fixture this tool doesn't know, so it wasn't checked` });
+      } else if (!fixture) {
+        const suggestion = this.closestName(String(cutoutFixtureId), Object.keys(this.deckFixtures).map(id => id.toLowerCase()));
+        const match = suggestion && Object.keys(this.deckFixtures).find(id => id.toLowerCase() === suggestion);
+        problems.push({ severity: 'error', message: `Unknown fixture '${cutoutFixtureId}' in ${cutoutId}${match ? ` - did you mean '${match}'?` : ''}` });
+      } else if (!fixture.cutouts.includes(cutoutId)) {
+        problems.push({ severity: 'error', message: `${fixture.label} (${cutoutFixtureId}) can't go in ${cutoutId.replace('cutout', '')}; it fits ${fixture.cutouts.map(c => c.replace('cutout', '')).join(', ')}` });
+      }
+      if (byCutout.has(cutoutId)) {
+        problems.push({ severity: 'error', message: `${cutoutId.replace('cutout', '')} has more than one fixture` });
+      }
+      byCutout.set(cutoutId, cutoutFixtureId);
+    });
+
+    this.flexCutouts.filter(cutoutId => !byCutout.has(cutoutId)).forEach(cutoutId => {
+      problems.push({ severity: 'error', message: `${cutoutId.replace('cutout', '')} has no fixture; use '${this.flexCutoutSlotFixture(cutoutId)}' for a plain slot` });
+    });
+
+    // The thermocycler spans A1 and B1
+    const rear = byCutout.get('cutoutA1') === 'thermocyclerModuleV2Rear';
+    const front = byCutout.get('cutoutB1') === 'thermocyclerModuleV2Front';
+    if (rear !== front) {
+      problems.push({ severity: 'error', message: `A thermocycler needs thermocyclerModuleV2Rear in A1 and thermocyclerModuleV2Front in B1` });
+    }
+
+    if (![...byCutout.values()].some(id => id === 'trashBinAdapter' || this.deckFixtures[id]?.wasteChute)) {
+      problems.push({ severity: 'warning', message: `No trash bin or waste chute is configured; protocols that drop tips will not run` });
+    }
+    return problems;
+  }
+
+  flexCutoutSlotFixture(cutoutId) {
+    return { 1: 'singleLeftSlot', 2: 'singleCenterSlot', 3: 'singleRightSlot' }[cutoutId.slice(-1)];
+  }
+
+  async getDeckConfiguration(args) {
+    try {
+      const robot = this.resolveRobot(args);
+      const config = await this.fetchDeckConfiguration(robot);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**Deck Configuration of ${robot.name}**\n` +
+                  `**Last Modified:** ${config.lastModifiedAt ? new Date(config.lastModifiedAt).toLocaleString() : 'Never'}\n\n` +
+                  this.formatDeckConfiguration(config.cutoutFixtures || [])
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get deck configuration: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async setDeckConfiguration(args) {
+    const { fixtures = {}, dry_run = false } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const current = await this.fetchDeckConfiguration(robot);
+      const byCutout = new Map((current.cutoutFixtures || []).map(fixture => [fixture.cutoutId, fixture]));
+
+      // Changes are applied on top of the current configuration; "slot" clears a cutout back to a plain slot
+      const changes = [];
+      for (const [slot, fixtureId] of Object.entries(fixtures)) {
+        const cutoutId = this.normalizeCutout(slot);
+        if (!cutoutId) {
+          throw new Error(`Unknown cutout '${slot}'; use A1-D3 (column 4 staging slots come from a staging area fixture in column 3)`);
+        }
+        const cutoutFixtureId = fixtureId === 'slot' ? this.flexCutoutSlotFixture(cutoutId) : fixtureId;
+        const previous = byCutout.get(cutoutId);
+        const fixture = { cutoutId, cutoutFixtureId };
+        if (previous?.cutoutFixtureId === cutoutFixtureId && previous.opentronsModuleSerialNumber) {
+          fixture.opentronsModuleSerialNumber = previous.opentronsModuleSerialNumber;
+        }
+        byCutout.set(cutoutId, fixture);
+        changes.push(`${cutoutId.replace('cutout', '')}: ${this.deckFixtures[previous?.cutoutFixtureId]?.label || previous?.cutoutFixtureId || 'Empty'} → ${this.deckFixtures[cutoutFixtureId]?.label || cutoutFixtureId}`);
+      }
+
+      const cutoutFixtures = [...byCutout.values()];
+      const changedCutouts = new Set(Object.keys(fixtures).map(slot => this.normalizeCutout(slot)));
+      const problems = this.validateDeckConfiguration(cutoutFixtures, changedCutouts);
+      const errors = problems.filter(problem => problem.severity === 'error');
+      const problemText = problems.map(problem => `- ${problem.severity === 'error' ? '❌' : '⚠️'} ${problem.message}\n`).join('');
+      const changeText = changes.length > 0 ? `**Changes:**\n${changes.map(change => `- ${change}\n`).join('')}\n` : `No changes requested.\n\n`;
+
+      if (errors.length > 0) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ **Deck configuration not saved**\n\n${changeText}**Problems:**\n${problemText}`
+          }]
+        };
+      }
+
+      if (dry_run) {
+        return {
+          content: [{
+            type: "text",
+            text: `✅ **Deck configuration is valid** (dry run, not saved)\n\n${changeText}${problemText ? `**Warnings:**\n${problemText}\n` : ''}${this.formatDeckConfiguration(cutoutFixtures)}`
+          }]
+        };
+      }
+
+      const data = await this.makeApiRequest(
+        'PUT',
+        `${robot.baseUrl}/deck_configuration`,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify({ data: { cutoutFixtures } })
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ **Deck configuration saved on ${robot.name}**\n\n${changeText}${problemText ? `**Warnings:**\n${problemText}\n` : ''}` +
+                  this.formatDeckConfiguration(data.data?.cutoutFixtures || cutoutFixtures)
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to set deck configuration: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // What each cutout must hold for a protocol, worked out from its analysis commands
+  deckRequirementsFromAnalysis(analysis) {
+    const requirements = [];
+    const need = (cutoutId, label, test, reason) => requirements.push({ cutoutId, label, test, reason });
+
+    const needSlot = (location, reason) => {
+      const name = location?.slotName || location?.addressableAreaName;
+      if (!name) return;
+      if (name === 'gripperWasteChute') {
+        need('cutoutD3', 'Uncovered waste chute', fixture => fixture.wasteChute && !fixture.covered, reason);
+        return;
+      }
+      const slot = /^([A-D])([1-4])$/.exec(name);
+      if (!slot) return;
+      if (slot[2] === '4') {
+        need(`cutout${slot[1]}3`, 'Staging area', fixture => fixture.staging, reason);
+      } else {
+        need(`cutout${name}`, 'Open slot', fixture => fixture.slot, reason);
+      }
+    };
+
+    (analysis.commands || []).forEach((command, index) => {
+      const params = command.params || {};
+      const reason = `command ${index + 1} (${command.commandType})`;
+      switch (command.commandType) {
+        case 'loadModule': {
+          const model = params.model || command.result?.model;
+          const slotName = params.location?.slotName;
+          if (!slotName) break;
+          const family = String(model).replace(/V\d+$/, '');
+          if (family === 'thermocyclerModule') {
+            need('cutoutA1', 'Thermocycler', (fixture, id) => id === 'thermocyclerModuleV2Rear', reason);
+            need('cutoutB1', 'Thermocycler', (fixture, id) => id === 'thermocyclerModuleV2Front', reason);
+          } else {
+            need(`cutout${slotName}`, this.deckFixtures[model]?.label || model, fixture => fixture.module === model, reason);
+          }
+          break;
+        }
+        case 'loadLabware':
+        case 'loadAdapter':
+        case 'loadLid':
+        case 'loadLidStack':
+          needSlot(params.location, reason);
+          break;
+        case 'moveLabware':
+          needSlot(params.newLocation, reason);
+          break;
+        case 'moveToAddressableArea':
+        case 'moveToAddressableAreaForDropTip': {
+          const area = params.addressableAreaName || '';
+          const trash = /^movableTrash([A-D][13])$/.exec(area);
+          if (trash) {
+            need(`cutout${trash[1]}`, 'Trash bin', (fixture, id) => id === 'trashBinAdapter', reason);
+          } else if (area.startsWith('96ChannelWasteChute')) {
+            need('cutoutD3', 'Uncovered waste chute', fixture => fixture.wasteChute && !fixture.covered, reason);
+          } else if (area.includes('WasteChute')) {
+            need('cutoutD3', 'Waste chute', fixture => fixture.wasteChute, reason);
+          }
+          break;
+        }
+      }
+    });
+
+    return requirements;
+  }
+
+  async checkProtocolDeckCompat(args) {
+    const { protocol_id, analysis_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const analysis = await this.fetchProtocolAnalysis(robot, protocol_id, analysis_id);
+      if (analysis.robotType && analysis.robotType !== 'OT-3 Standard') {
+        return {
+          content: [{
+            type: "text",
+            text: `Protocol ${protocol_id} is for a ${analysis.robotType}; deck configuration only applies to Flex protocols.`
+          }]
+        };
+      }
+
+      const config = await this.fetchDeckConfiguration(robot);
+      const current = new Map((config.cutoutFixtures || []).map(fixture => [fixture.cutoutId, fixture.cutoutFixtureId]));
+      const requirements = this.deckRequirementsFromAnalysis(analysis);
+
+      const byCutout = new Map();
+      requirements.forEach(requirement => {
+        if (!byCutout.has(requirement.cutoutId)) byCutout.set(requirement.cutoutId, []);
+        byCutout.get(requirement.cutoutId).push(requirement);
+      });
+
+      const satisfied = [];
+      const conflicts = [];
+      const fixes = {};
+      [...byCutout.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([cutoutId, needs]) => {
+        const slot = cutoutId.replace('cutout', '');
+        const fits = id => this.deckFixtures[id]?.cutouts.includes(cutoutId) && needs.every(requirement => requirement.test(this.deckFixtures[id], id));
+        const labels = [...new Set(needs.map(requirement => requirement.label))].join(' + ');
+        const currentId = current.get(cutoutId);
+
+        if (fits(currentId)) {
+          satisfied.push(`- ✅ ${slot}: ${labels} (${this.deckFixtures[currentId].label})\n`);
+          return;
+        }
+        const suggestion = Object.keys(this.deckFixtures).find(fits);
+        if (suggestion) fixes[slot] = suggestion;
+        conflicts.push(`- ❌ ${slot}: protocol needs ${labels}, deck has ${this.deckFixtures[currentId]?.label || currentId || 'nothing'}` +
+          ` (first needed by ${needs[0].reason})${suggestion ? ` → set \`${suggestion}\`` : ' - no single fixture provides all of these'}\n`);
+      });
+
+      let compatText = `**Deck Compatibility:** protocol \`${protocol_id}\` on ${robot.name}\n\n`;
+      if (requirements.length === 0) {
+        compatText += `The protocol doesn't need any fixtures beyond plain slots.\n`;
+      } else if (conflicts.length === 0) {
+        compatText += `✅ **Compatible** - the deck has every fixture the protocol uses\n\n${satisfied.join('')}`;
+      } else {
+        compatText += `❌ **${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}** - fix these before creating a run\n\n${conflicts.join('')}`;
+        if (satisfied.length > 0) {
+          compatText += `\n**Already matching:**\n${satisfied.join('')}`;
+        }
+        if (Object.keys(fixes).length > 0) {
+          compatText += `\nTo fix, call \`set_deck_configuration\` with \`fixtures\`: \`${JSON.stringify(fixes)}\` (after placing the hardware).\n`;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: compatText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to check deck compatibility: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Queue a command and block until the robot reports it finished (or the wait times out)
+  async sendCommand(robot, commandsPath, command, timeoutMs = 30000) {
+    const body = {
+      data: {
+        commandType: command.commandType,
+        params: command.params || {},
+        ...(command.intent && { intent: command.intent })
+      }
+    };
+
+    const data = await this.makeApiRequest(
+      'POST',
+      `${robot.baseUrl}${commandsPath}?waitUntilComplete=true&timeout=${timeoutMs}`,
+      { 'Content-Type': 'application/json' },
+      JSON.stringify(body),
+      timeoutMs + 10000
+    );
+
+    return data.data;
+  }
+
+  // The protocol command that put the run into recovery; fixit commands are never the cause
+  async findFailedCommand(robot, runId, lookback = 50) {
+    const head = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${runId}/commands?pageLength=1`);
+    const totalLength = head.meta?.totalLength ?? 0;
+    const { commands } = await this.fetchRunCommands(robot, runId, { startIndex: Math.max(0, totalLength - lookback) });
+    const failedCommand = [...commands].reverse().find(c => c.status === 'failed' && c.intent !== 'fixit') || null;
+    const fixits = failedCommand ? commands.filter(c => c.intent === 'fixit' && c.index > failedCommand.index) : [];
+    return { failedCommand, fixits };
+  }
+
+  formatCommandError(error, depth = 0) {
+    const indent = '  '.repeat(depth);
+    let errorText = `${indent}- ${error.errorType || 'Error'}${error.errorCode ? ` (code ${error.errorCode})` : ''}: ${error.detail || 'No detail'}\n`;
+    Object.entries(error.errorInfo || {}).forEach(([key, value]) => {
+      errorText += `${indent}  - ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}\n`;
+    });
+    (error.wrappedErrors || []).forEach(wrapped => {
+      errorText += this.formatCommandError(wrapped, depth + 1);
+    });
+    return errorText;
+  }
+
+  recoveryOptions(failedCommand) {
+    const errorType = failedCommand?.error?.errorType;
+    const options = [
+      { strategy: 'retry', description: `Run the failed ${failedCommand?.commandType || 'command'} again, then continue${errorType === 'stallOrCollision' ? ' (homes first, since position was lost)' : ''}` }
+    ];
+
+    if (failedCommand?.commandType === 'pickUpTip') {
+      options.push({ strategy: 'retry_new_tips', description: 'Pick up tips from another well (`tip_well`, optionally `tip_labware_id`), then continue' });
+      options.push({ strategy: 'manual_pickup', description: 'Tips were attached by hand: continue as if the pick-up succeeded' });
+    }
+    if (failedCommand?.commandType === 'moveLabware') {
+      options.push({ strategy: 'manual_move', description: 'Labware was moved by hand: continue as if the move succeeded' });
+    }
+
+    options.push({ strategy: 'skip', description: 'Leave the failed step undone and continue with the next one' });
+    options.push({ strategy: 'cancel', description: 'Stop the run' });
+    return options;
+  }
+
+  async getRecoveryState(args) {
+    const { run_id } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}`);
+      const run = runData.data;
+      const { failedCommand, fixits } = await this.findFailedCommand(robot, run_id);
+      const labwareById = Object.fromEntries((run.labware || []).map(l => [l.id, l]));
+      const pipettesById = Object.fromEntries((run.pipettes || []).map(p => [p.id, p]));
+
+      let stateText = `# Error Recovery: ${run.id}\n\n`;
+      stateText += `**Status:** ${run.status}\n`;
+      stateText += `**Protocol:** ${run.protocolId || 'None'}\n\n`;
+
+      if (run.status !== 'awaiting-recovery') {
+        stateText += `⚠️ The run is not awaiting recovery, so fixit commands and recovery actions will be rejected.\n\n`;
+      }
+
+      if (!failedCommand) {
+        stateText += `No failed command found in the run's recent commands.\n`;
+      } else {
+        stateText += `## Failed Command\n\n`;
+        stateText += `**Step:** ${failedCommand.index}\n`;
+        stateText += `**Command:** ${this.describeCommand(failedCommand, labwareById, pipettesById)}\n`;
+        stateText += `**Type:** ${failedCommand.commandType}\n`;
+        stateText += `**Failed At:** ${failedCommand.completedAt ? new Date(failedCommand.completedAt).toLocaleString() : 'Unknown'}\n`;
+        stateText += `**Params:** \`${JSON.stringify(failedCommand.params || {})}\`\n\n`;
+        if (failedCommand.error) {
+          stateText += `**Error:**\n${this.formatCommandError(failedCommand.error)}\n`;
+        }
+
+        if (fixits.length > 0) {
+          stateText += `## Fixit Commands Since Failure\n\n`;
+          fixits.forEach(command => {
+            stateText += `- [${command.index}] ${command.status === 'failed' ? '❌' : '✅'} ${this.describeCommand(command, labwareById, pipettesById)}\n`;
+          });
+          stateText += '\n';
+        }
+      }
+
+      stateText += `## Recovery Options\n\n`;
+      this.recoveryOptions(failedCommand).forEach(option => {
+        stateText += `- **${option.strategy}**: ${option.description}\n`;
+      });
+      stateText += `\nUse \`recover_run\` with one of these strategies. Extra \`fixit_commands\` run before it.\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: stateText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get recovery state: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async recoverRun(args) {
+    const { run_id, strategy, fixit_commands = [], tip_well, tip_labware_id, resume = true, command_timeout = 60 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}`);
+      if (runData.data.status !== 'awaiting-recovery') {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `⚠️ Run ${run_id} is '${runData.data.status}', not awaiting recovery. Nothing was sent.`
+            }
+          ]
+        };
+      }
+
+      const { failedCommand } = await this.findFailedCommand(robot, run_id);
+      const commands = [...fixit_commands];
+
+      if (strategy === 'retry' || strategy === 'retry_new_tips') {
+        if (!failedCommand) {
+          throw new Error('No failed command found to retry');
+        }
+        if (failedCommand.error?.errorType === 'stallOrCollision') {
+          commands.push({ commandType: 'home', params: {} });
+        }
+        if (strategy === 'retry_new_tips') {
+          if (failedCommand.commandType !== 'pickUpTip') {
+            throw new Error(`retry_new_tips only applies to a failed pickUpTip, not ${failedCommand.commandType}`);
+          }
+          if (!tip_well) {
+            throw new Error('tip_well is required for retry_new_tips');
+          }
+          commands.push({
+            commandType: 'pickUpTip',
+            params: { ...failedCommand.params, labwareId: tip_labware_id || failedCommand.params.labwareId, wellName: tip_well }
+          });
+        } else {
+          commands.push({ commandType: failedCommand.commandType, params: failedCommand.params });
+        }
+      }
+
+      let recoverText = `# Recovering Run ${run_id}\n\n`;
+      recoverText += `**Strategy:** ${strategy}\n`;
+      if (failedCommand) {
+        recoverText += `**Failed Command:** [${failedCommand.index}] ${failedCommand.commandType}\n`;
+      }
+      recoverText += '\n';
+
+      if (commands.length > 0) {
+        recoverText += `## Fixit Commands\n\n`;
+        for (const command of commands) {
+          const result = await this.sendCommand(robot, `/runs/${run_id}/commands`, { ...command, intent: 'fixit' }, command_timeout * 1000);
+          if (result.status !== 'succeeded') {
+            recoverText += `- ❌ ${command.commandType}: ${result.error ? `${result.error.errorType}: ${result.error.detail}` : `still ${result.status}`}\n`;
+            recoverText += `\nStopped before resuming; the run is still awaiting recovery. Check \`get_recovery_state\` and pick another strategy.\n`;
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: recoverText
+                }
+              ]
+            };
+          }
+          recoverText += `- ✅ ${command.commandType} ${JSON.stringify(command.params || {})}\n`;
+        }
+        recoverText += '\n';
+      }
+
+      if (!resume && strategy !== 'cancel') {
+        recoverText += `Fixit commands done. The run is still awaiting recovery; call \`recover_run\` again or use \`control_run\` to resume.\n`;
+      } else {
+        const action = {
+          cancel: 'stop',
+          manual_pickup: 'resume-from-recovery-assuming-false-positive',
+          manual_move: 'resume-from-recovery-assuming-false-positive'
+        }[strategy] || 'resume-from-recovery';
+        await this.postRunAction(robot, run_id, action);
+        const updated = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}`);
+        recoverText += `✅ Sent '${action}'. Run status: ${updated.data.status}\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: recoverText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to recover run: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async errorRecoverySettings(args) {
+    const { enabled } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const data = enabled === undefined
+        ? await this.makeApiRequest('GET', `${robot.baseUrl}/errorRecovery/settings`)
+        : await this.makeApiRequest(
+            'PATCH',
+            `${robot.baseUrl}/errorRecovery/settings`,
+            { 'Content-Type': 'application/json' },
+            JSON.stringify({ data: { enabled } })
+          );
+
+      const settings = data.data || {};
+      let settingsText = enabled === undefined ? `**Error Recovery Settings:**\n\n` : `✅ Error recovery settings updated\n\n`;
+      settingsText += `**Enabled:** ${settings.enabled ? 'Yes' : 'No'}\n`;
+      Object.entries(settings).filter(([key]) => key !== 'enabled').forEach(([key, value]) => {
+        settingsText += `**${key}:** ${JSON.stringify(value)}\n`;
+      });
+      settingsText += settings.enabled
+        ? `\nRecoverable errors pause the run in 'awaiting-recovery' instead of failing it.\n`
+        : `\nRuns fail outright on errors instead of waiting for recovery.\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: settingsText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to ${enabled === undefined ? 'get' : 'update'} error recovery settings: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async getRuns(args) {
+    try {
+      const robot = this.resolveRobot(args);
+      const data = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/runs`
+      );
+      
+      const runs = data.data || [];
+      
+      if (runs.length === 0) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `No runs found on robot.`
+            }
+          ]
+        };
+      }
+      
+      const runList = runs.slice(0, 10).map(r => {
+        const duration = r.completedAt && r.startedAt
+          ? Math.round((new Date(r.completedAt) - new Date(r.startedAt)) / 1000 / 60)
+          : null;
+          
+        return `**Run ${r.id}**\n` +
+               `  Status: ${r.status}\n` +
+               `  Created: ${new Date(r.createdAt).toLocaleString()}\n` +
+               `  Protocol: ${r.protocolId || 'None'}\n` +
+               `  Duration: ${duration ? `${duration} minutes` : 'N/A'}\n`;
+      }).join('\n');
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Found ${runs.length} run${runs.length !== 1 ? 's' : ''} on robot${runs.length > 10 ? ' (showing latest 10)' : ''}:\n\n${runList}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get runs: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async getRunStatus(args) {
+    const { run_id } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const data = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/runs/${run_id}`
+      );
+      
+      const run = data.data;
+      
+      // Get recent commands
+      const commandsData = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/runs/${run_id}/commands?pageLength=5`
+      );
+      
+      const commands = commandsData.data || [];
+      
+      // Count over the whole run, not just the recent page; JSON protocols queue every command up front,
+      // and failed or skipped commands can sit anywhere, so no shortcut from the tail is safe
+      const { commands: allCommands, totalLength: totalCommands } = await this.fetchRunCommands(robot, run_id);
+      const completedCommands = allCommands.filter(c => c.status === 'succeeded').length;
+      
+      let statusText = `**Run Status: ${run.status}**\n\n`;
+      statusText += `**Run ID:** ${run.id}\n`;
+      statusText += `**Created:** ${new Date(run.createdAt).toLocaleString()}\n`;
+      statusText += `**Started:** ${run.startedAt ? new Date(run.startedAt).toLocaleString() : 'Not started'}\n`;
+      statusText += `**Completed:** ${run.completedAt ? new Date(run.completedAt).toLocaleString() : 'Not completed'}\n`;
+      statusText += `**Protocol:** ${run.protocolId || 'None'}\n`;
+      statusText += `**Commands:** ${completedCommands}/${totalCommands} completed\n\n`;
+      
+      if (run.errors && run.errors.length > 0) {
+        statusText += `**Errors:**\n`;
+        run.errors.forEach(err => {
+          statusText += `- ${err.detail || err.title || 'Unknown error'}\n`;
+        });
+        statusText += '\n';
+      }
+      
+      if (commands.length > 0) {
+        statusText += `**Recent Commands:**\n`;
+        commands.slice(0, 5).forEach(cmd => {
+          statusText += `- ${cmd.commandType}: ${cmd.status}\n`;
+        });
+      }
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: statusText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get run status: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Walk the /runs/{id}/commands pagination from startIndex to the end of the run,
+  // tagging each command with its index
+  async fetchRunCommands(robot, runId, { startIndex = 0, pageLength = 200 } = {}) {
+    const commands = [];
+    let cursor = startIndex;
+    let totalLength = null;
+
+    while (totalLength === null || cursor < totalLength) {
+      const page = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/runs/${runId}/commands?cursor=${cursor}&pageLength=${pageLength}`
+      );
+      const data = page.data || [];
+      totalLength = page.meta?.totalLength ?? 0;
+      const pageCursor = page.meta?.cursor ?? cursor;
+
+      data.forEach((command, i) => {
+        commands.push({ ...command, index: pageCursor + i });
+      });
+
+      if (data.length === 0) break;
+      cursor = pageCursor + data.length;
+    }
+
+    return { commands, totalLength: totalLength || 0 };
+  }
+
+  commandDurationMs(command) {
+    if (!command.startedAt || !command.completedAt) return null;
+    return new Date(command.completedAt) - new Date(command.startedAt);
+  }
+
+  toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  formatCommandLog(commands, format) {
+    if (format === 'jsonl') {
+      return commands.map(command => JSON.stringify(command)).join('\n') + (commands.length > 0 ? '\n' : '');
+    }
+
+    const columns = ['index', 'id', 'key', 'commandType', 'status', 'intent', 'createdAt', 'startedAt', 'completedAt', 'durationMs', 'params', 'error'];
+    const rows = commands.map(command => columns.map(column => {
+      if (column === 'durationMs') return this.toCsvField(this.commandDurationMs(command));
+      if (column === 'error') return this.toCsvField(command.error ? command.error.detail || command.error : null);
+      return this.toCsvField(command[column]);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+
+  async getRunCommands(args) {
+    const {
+      run_id,
+      cursor = 0,
+      page_length = 50,
+      status,
+      command_type,
+      since_index = 0,
+      export_format,
+      output_path
+    } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}`);
+      const run = runData.data;
+      const { commands, totalLength } = await this.fetchRunCommands(robot, run_id, { startIndex: since_index });
+
+      // Counts cover everything fetched, regardless of the status and type filters
+      const counts = commands.reduce((acc, command) => {
+        acc[command.status] = (acc[command.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      const commandTypes = command_type ? (Array.isArray(command_type) ? command_type : [command_type]) : null;
+      const matching = commands.filter(command =>
+        (!status || command.status === status) &&
+        (!commandTypes || commandTypes.includes(command.commandType))
+      );
+
+      if (export_format) {
+        const log = this.formatCommandLog(matching, export_format);
+        if (output_path) {
+          fs.mkdirSync(path.dirname(path.resolve(output_path)), { recursive: true });
+          fs.writeFileSync(output_path, log);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `✅ Exported ${matching.length} command${matching.length !== 1 ? 's' : ''} as ${export_format.toUpperCase()} to ${output_path}`
+              }
+            ]
+          };
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: log
+            }
+          ]
+        };
+      }
+
+      const labwareById = Object.fromEntries((run.labware || []).map(l => [l.id, l]));
+      const pipettesById = Object.fromEntries((run.pipettes || []).map(p => [p.id, p]));
+      const page = matching.slice(cursor, cursor + page_length);
+      const statusIcons = { succeeded: '✅', failed: '❌', running: '▶️', queued: '⏳' };
+
+      let logText = `**Run ${run.id}** (${run.status})\n\n`;
+      logText += since_index > 0
+        ? `**Commands from ${since_index}:** ${counts.succeeded || 0}/${commands.length} succeeded (${totalLength} in the run)`
+        : `**Commands:** ${counts.succeeded || 0}/${totalLength} succeeded`;
+      logText += `, ${counts.failed || 0} failed, ${counts.running || 0} running, ${counts.queued || 0} queued\n`;
+
+      const filters = [];
+      if (status) filters.push(`status ${status}`);
+      if (commandTypes) filters.push(`type ${commandTypes.join(', ')}`);
+      if (since_index > 0) filters.push(`index ≥ ${since_index}`);
+      logText += `**Matching:** ${matching.length}${filters.length > 0 ? ` (${filters.join('; ')})` : ''}\n\n`;
+
+      if (page.length === 0) {
+        logText += `No commands to show.\n`;
+      } else {
+        logText += `**Showing ${cursor + 1}-${cursor + page.length} of ${matching.length}:**\n`;
+        page.forEach(command => {
+          const duration = this.commandDurationMs(command);
+          logText += `- [${command.index}] ${statusIcons[command.status] || '•'} ${this.describeCommand(command, labwareById, pipettesById)}`;
+          logText += `${duration !== null ? ` (${(duration / 1000).toFixed(1)}s)` : ''}\n`;
+          if (command.error) {
+            logText += `  Error: ${command.error.errorType ? `[${command.error.errorType}] ` : ''}${command.error.detail || 'Unknown error'}\n`;
+          }
+        });
+      }
+
+      if (cursor + page_length < matching.length) {
+        logText += `\nMore results: call again with \`cursor: ${cursor + page_length}\`\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: logText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get run commands: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  formatDuration(ms) {
+    if (ms === null || ms === undefined || Number.isNaN(ms)) return 'N/A';
+    const totalSeconds = ms / 1000;
+    if (totalSeconds < 60) return `${totalSeconds.toFixed(1)}s`;
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.round(totalSeconds % 60);
+    return hours > 0 ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+  }
+
+  // Timing statistics for one run from its commands' startedAt/completedAt and its actions
+  computeRunTimeline(run, commands, gapThresholdMs = 5000) {
+    const timed = commands.filter(c => c.startedAt && c.completedAt);
+    const byType = {};
+    timed.forEach(command => {
+      const duration = this.commandDurationMs(command);
+      if (!byType[command.commandType]) byType[command.commandType] = { count: 0, totalMs: 0 };
+      byType[command.commandType].count++;
+      byType[command.commandType].totalMs += duration;
+    });
+
+    // Pauses run from a pause action to the next play (or the end of the run)
+    const actions = [...(run.actions || [])].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const pauses = [];
+    actions.forEach((action, i) => {
+      if (action.actionType !== 'pause') return;
+      const resume = actions.slice(i + 1).find(a => ['play', 'stop'].includes(a.actionType));
+      const end = resume ? new Date(resume.createdAt) : run.completedAt ? new Date(run.completedAt) : null;
+      pauses.push({ start: action.createdAt, durationMs: end ? end - new Date(action.createdAt) : Date.now() - new Date(action.createdAt), ongoing: !end });
+    });
+
+    const gaps = [];
+    for (let i = 1; i < timed.length; i++) {
+      const gapMs = new Date(timed[i].startedAt) - new Date(timed[i - 1].completedAt);
+      if (gapMs >= gapThresholdMs) {
+        gaps.push({ after: timed[i - 1], before: timed[i], durationMs: gapMs });
+      }
+    }
+
+    const firstStart = timed.length > 0 ? new Date(timed[0].startedAt) : run.startedAt ? new Date(run.startedAt) : null;
+    const lastEnd = timed.length > 0 ? new Date(timed[timed.length - 1].completedAt) : null;
+    const endTime = run.completedAt ? new Date(run.completedAt) : ['succeeded', 'failed', 'stopped'].includes(run.status) ? lastEnd : new Date();
+    const wallMs = firstStart && endTime ? endTime - firstStart : null;
+    const commandMs = timed.reduce((sum, c) => sum + this.commandDurationMs(c), 0);
+    const pauseMs = pauses.reduce((sum, p) => sum + p.durationMs, 0);
+
+    return {
+      byType,
+      slowest: [...timed].sort((a, b) => this.commandDurationMs(b) - this.commandDurationMs(a)),
+      gaps: gaps.sort((a, b) => b.durationMs - a.durationMs),
+      pauses,
+      wallMs,
+      commandMs,
+      pauseMs,
+      completed: commands.filter(c => c.status === 'succeeded').length,
+      total: commands.length,
+      timed
+    };
+  }
+
+  async runTimeline(args) {
+    const { run_id, compare_run_id, top = 10, gap_threshold = 5 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const loadRun = async id => {
+        const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${id}`);
+        const { commands } = await this.fetchRunCommands(robot, id);
+        return { run: runData.data, commands };
+      };
+
+      const { run, commands } = await loadRun(run_id);
+      const timeline = this.computeRunTimeline(run, commands, gap_threshold * 1000);
+      const labwareById = Object.fromEntries((run.labware || []).map(l => [l.id, l]));
+      const pipettesById = Object.fromEntries((run.pipettes || []).map(p => [p.id, p]));
+
+      if (compare_run_id) {
+        return this.compareRunTimelines({ run, commands, timeline }, await loadRun(compare_run_id), { top, gap_threshold, labwareById, pipettesById });
+      }
+
+      let timelineText = `# Run Timeline: ${run.id}\n\n`;
+      timelineText += `**Status:** ${run.status}\n`;
+      timelineText += `**Protocol:** ${run.protocolId || 'None'}\n`;
+      timelineText += `**Elapsed:** ${this.formatDuration(timeline.wallMs)}\n`;
+      timelineText += `**Executing Commands:** ${this.formatDuration(timeline.commandMs)}\n`;
+      timelineText += `**Paused:** ${this.formatDuration(timeline.pauseMs)}\n`;
+      timelineText += `**Commands:** ${timeline.completed}/${timeline.total} succeeded\n\n`;
+
+      if (!['succeeded', 'failed', 'stopped'].includes(run.status) && timeline.total > 0) {
+        timelineText += `## Estimated Time Remaining\n\n`;
+        timelineText += `${await this.estimateRemaining(robot, run, timeline)}\n\n`;
+      }
+
+      timelineText += `## Time by Command Type\n\n`;
+      Object.entries(timeline.byType)
+        .sort(([, a], [, b]) => b.totalMs - a.totalMs)
+        .forEach(([type, stats]) => {
+          const share = timeline.commandMs > 0 ? Math.round((stats.totalMs / timeline.commandMs) * 100) : 0;
+          timelineText += `- **${type}**: ${this.formatDuration(stats.totalMs)} (${share}%) over ${stats.count} command${stats.count !== 1 ? 's' : ''}, avg ${this.formatDuration(stats.totalMs / stats.count)}\n`;
+        });
+      timelineText += '\n';
+
+      timelineText += `## Slowest Steps\n\n`;
+      timeline.slowest.slice(0, top).forEach(command => {
+        timelineText += `- [${command.index}] ${this.formatDuration(this.commandDurationMs(command))} - ${this.describeCommand(command, labwareById, pipettesById)}\n`;
+      });
+      timelineText += '\n';
+
+      timelineText += `## Idle Gaps (≥ ${gap_threshold}s)\n\n`;
+      if (timeline.gaps.length === 0) {
+        timelineText += `None\n\n`;
+      } else {
+        timelineText += `Total idle: ${this.formatDuration(timeline.gaps.reduce((sum, g) => sum + g.durationMs, 0))} across ${timeline.gaps.length} gap${timeline.gaps.length !== 1 ? 's' : ''}\n`;
+        timeline.gaps.slice(0, top).forEach(gap => {
+          timelineText += `- ${this.formatDuration(gap.durationMs)} between [${gap.after.index}] ${gap.after.commandType} and [${gap.before.index}] ${gap.before.commandType}\n`;
+        });
+        timelineText += '\n';
+      }
+
+      timelineText += `## Pauses\n\n`;
+      if (timeline.pauses.length === 0) {
+        timelineText += `None\n`;
+      } else {
+        timeline.pauses.forEach(pause => {
+          timelineText += `- ${new Date(pause.start).toLocaleString()}: ${this.formatDuration(pause.durationMs)}${pause.ongoing ? ' (still paused)' : ''}\n`;
+        });
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: timelineText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to build run timeline: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Prefer a finished run of the same protocol as the reference; fall back to the average
+  // command duration so far
+  async estimateRemaining(robot, run, timeline) {
+    const lastDone = timeline.timed[timeline.timed.length - 1];
+
+    if (run.protocolId && lastDone) {
+      const runsData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs`);
+      const reference = (runsData.data || [])
+        .filter(r => r.id !== run.id && r.protocolId === run.protocolId && r.status === 'succeeded')
+        .pop();
+
+      if (reference) {
+        const { commands: referenceCommands } = await this.fetchRunCommands(robot, reference.id);
+        const match = referenceCommands[lastDone.index];
+        const referenceEnd = referenceCommands.filter(c => c.completedAt).pop();
+        if (match?.completedAt && match.commandType === lastDone.commandType && referenceEnd) {
+          const remainingMs = new Date(referenceEnd.completedAt) - new Date(match.completedAt);
+          return `~${this.formatDuration(remainingMs)} based on succeeded run \`${reference.id}\` of the same protocol`;
+        }
+      }
+    }
+
+    const remainingCommands = timeline.total - timeline.completed;
+    if (timeline.timed.length === 0 || remainingCommands <= 0) {
+      return `Not enough data to estimate yet`;
+    }
+    const averageMs = timeline.commandMs / timeline.timed.length;
+    return `~${this.formatDuration(averageMs * remainingCommands)} for ${remainingCommands} remaining queued command${remainingCommands !== 1 ? 's' : ''} at the average ${this.formatDuration(averageMs)} per command (protocols that queue commands as they go may run longer)`;
+  }
+
+  compareRunTimelines(current, other, { top, gap_threshold, labwareById, pipettesById }) {
+    const a = current.timeline;
+    const b = this.computeRunTimeline(other.run, other.commands, gap_threshold * 1000);
+    const delta = (x, y) => {
+      if (x === null || y === null) return 'N/A';
+      const diff = y - x;
+      return `${diff >= 0 ? '+' : '-'}${this.formatDuration(Math.abs(diff))}`;
+    };
+
+    let compareText = `# Run Comparison: ${current.run.id} vs ${other.run.id}\n\n`;
+    if (current.run.protocolId !== other.run.protocolId) {
+      compareText += `⚠️ These runs are of different protocols (${current.run.protocolId || 'none'} vs ${other.run.protocolId || 'none'}) - step alignment may not be meaningful\n\n`;
+    }
+
+    compareText += `| | ${current.run.id} | ${other.run.id} | Difference |\n|---|---|---|---|\n`;
+    compareText += `| Status | ${current.run.status} | ${other.run.status} | |\n`;
+    compareText += `| Elapsed | ${this.formatDuration(a.wallMs)} | ${this.formatDuration(b.wallMs)} | ${delta(a.wallMs, b.wallMs)} |\n`;
+    compareText += `| Executing | ${this.formatDuration(a.commandMs)} | ${this.formatDuration(b.commandMs)} | ${delta(a.commandMs, b.commandMs)} |\n`;
+    compareText += `| Paused | ${this.formatDuration(a.pauseMs)} | ${this.formatDuration(b.pauseMs)} | ${delta(a.pauseMs, b.pauseMs)} |\n`;
+    const idleA = a.gaps.reduce((sum, g) => sum + g.durationMs, 0);
+    const idleB = b.gaps.reduce((sum, g) => sum + g.durationMs, 0);
+    compareText += `| Idle gaps | ${this.formatDuration(idleA)} | ${this.formatDuration(idleB)} | ${delta(idleA, idleB)} |\n`;
+    compareText += `| Commands | ${a.total} | ${b.total} | ${b.total - a.total >= 0 ? '+' : ''}${b.total - a.total} |\n\n`;
+
+    compareText += `## Time by Command Type\n\n`;
+    const types = [...new Set([...Object.keys(a.byType), ...Object.keys(b.byType)])];
+    types
+      .map(type => ({ type, x: a.byType[type]?.totalMs || 0, y: b.byType[type]?.totalMs || 0 }))
+      .sort((p, q) => Math.abs(q.y - q.x) - Math.abs(p.y - p.x))
+      .forEach(({ type, x, y }) => {
+        compareText += `- **${type}**: ${this.formatDuration(x)} → ${this.formatDuration(y)} (${delta(x, y)})\n`;
+      });
+    compareText += '\n';
+
+    // Same protocol, same command sequence: line steps up by index
+    const otherByIndex = new Map(other.commands.map(c => [c.index, c]));
+    const aligned = current.commands
+      .filter(c => c.startedAt && c.completedAt)
+      .map(c => ({ command: c, match: otherByIndex.get(c.index) }))
+      .filter(({ command, match }) => match && match.commandType === command.commandType && match.startedAt && match.completedAt)
+      .map(({ command, match }) => ({ command, x: this.commandDurationMs(command), y: this.commandDurationMs(match) }))
+      .sort((p, q) => Math.abs(q.y - q.x) - Math.abs(p.y - p.x));
+
+    compareText += `## Biggest Step Differences\n\n`;
+    if (aligned.length === 0) {
+      compareText += `No steps could be aligned between the runs\n`;
+    } else {
+      aligned.slice(0, top).forEach(({ command, x, y }) => {
+        compareText += `- [${command.index}] ${this.describeCommand(command, labwareById, pipettesById)}: ${this.formatDuration(x)} → ${this.formatDuration(y)} (${delta(x, y)})\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: compareText
+        }
+      ]
+    };
+  }
+
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Request cancelled'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request cancelled'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Build a progress callback for a tool call. It is a no-op unless the client sent a
+  // progressToken with the request.
+  createProgressReporter(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined || !extra?.sendNotification) {
+      return async () => {};
+    }
+
+    return async (progress, total, message) => {
+      try {
+        await extra.sendNotification({
+          method: "notifications/progress",
+          params: { progressToken, progress, ...(total ? { total } : {}), ...(message ? { message } : {}) }
+        });
+      } catch (error) {
+        console.error(`⚠️ Could not send progress notification: ${error.message}`);
+      }
+    };
+  }
+
+  // Poll a run until it reaches one of the `until` states, a terminal state, or the timeout.
+  // Shared by wait_for_run and the run_protocol workflow.
+  async pollRunUntil(robot, runId, options = {}) {
+    const {
+      until = ["succeeded", "failed", "stopped", "awaiting-recovery", "paused"],
+      timeoutMs = 3600 * 1000,
+      pollIntervalMs = 3000,
+      onProgress = async () => {},
+      signal = null
+    } = options;
+    const terminal = ["succeeded", "failed", "stopped"];
+    const startTime = Date.now();
+    let lastReported = -1;
+
+    while (true) {
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${runId}`);
+      const run = runData.data;
+
+      // Without a cursor the robot returns the page that ends at the current command
+      const commandsData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${runId}/commands?pageLength=1`);
+      const total = commandsData.meta?.totalLength || 0;
+      const currentIndex = commandsData.links?.current?.meta?.index ?? (total > 0 ? total - 1 : null);
+      const currentCommand = commandsData.data?.[commandsData.data.length - 1] || null;
+
+      const position = currentIndex !== null ? currentIndex + 1 : 0;
+      // MCP progress must increase with every notification, so status-only changes wait for the next command
+      if (position > lastReported) {
+        lastReported = position;
+        await onProgress(position, total, `${run.status}: command ${position}/${total}${currentCommand ? ` (${currentCommand.commandType})` : ''}`);
+      }
+
+      const elapsedMs = Date.now() - startTime;
+      const reached = until.includes(run.status) || terminal.includes(run.status);
+      if (reached || elapsedMs >= timeoutMs) {
+        return { run, status: run.status, reached, timedOut: !reached, elapsedMs, position, total, currentCommand };
+      }
+
+      await this.sleep(Math.min(pollIntervalMs, Math.max(timeoutMs - elapsedMs, 0)), signal);
+    }
+  }
+
+  async waitForRun(args, onProgress = async () => {}, signal = null) {
+    const { run_id, until, timeout = 3600, poll_interval = 3 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const result = await this.pollRunUntil(robot, run_id, {
+        ...(until && until.length > 0 ? { until } : {}),
+        timeoutMs: timeout * 1000,
+        pollIntervalMs: poll_interval * 1000,
+        onProgress,
+        signal
+      });
+      const run = result.run;
+
+      let statusText = result.timedOut
+        ? `⏱️ **Timed out after ${Math.round(result.elapsedMs / 1000)}s** - run is still ${run.status}\n\n`
+        : `${run.status === 'succeeded' ? '✅' : ['failed', 'stopped'].includes(run.status) ? '❌' : '⏸️'} **Run ${run.status}** after ${Math.round(result.elapsedMs / 1000)}s of waiting\n\n`;
+      statusText += `**Run ID:** ${run.id}\n`;
+      statusText += `**Protocol:** ${run.protocolId || 'None'}\n`;
+      statusText += `**Started:** ${run.startedAt ? new Date(run.startedAt).toLocaleString() : 'Not started'}\n`;
+      statusText += `**Completed:** ${run.completedAt ? new Date(run.completedAt).toLocaleString() : 'Not completed'}\n`;
+      statusText += `**Commands:** ${result.position}/${result.total}\n`;
+
+      if (result.currentCommand) {
+        statusText += `**Current Command:** ${result.currentCommand.commandType} (${result.currentCommand.status})\n`;
+        if (result.currentCommand.error) {
+          statusText += `**Command Error:** ${result.currentCommand.error.detail || result.currentCommand.error.errorType || 'Unknown error'}\n`;
+        }
+      }
+
+      if (run.errors && run.errors.length > 0) {
+        statusText += `\n**Errors:**\n`;
+        run.errors.forEach(err => {
+          statusText += `- ${err.errorType ? `[${err.errorType}] ` : ''}${err.detail || err.title || 'Unknown error'}\n`;
+        });
+      }
+
+      if (run.status === 'awaiting-recovery') {
+        statusText += `\nThe run is waiting for error recovery. Use \`get_recovery_state\` to see what failed and \`recover_run\` to retry, skip or stop.\n`;
+      } else if (run.status === 'paused') {
+        statusText += `\nThe run is paused. Use \`control_run\` with "play" to continue.\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: statusText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to wait for run: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Poll /protocols/{id}/analyses until the latest analysis completes or the timeout passes
+  async waitForAnalysis(robot, protocolId, options = {}) {
+    const { timeoutMs = 300 * 1000, pollIntervalMs = 2000, signal = null } = options;
+    const startTime = Date.now();
+
+    while (true) {
+      const data = await this.makeApiRequest('GET', `${robot.baseUrl}/protocols/${protocolId}/analyses`);
+      const analyses = data.data || [];
+      const latest = analyses[analyses.length - 1] || null;
+      const elapsedMs = Date.now() - startTime;
+
+      if (latest && latest.status === 'completed') {
+        return { analysis: latest, timedOut: false, elapsedMs };
+      }
+      if (elapsedMs >= timeoutMs) {
+        return { analysis: latest, timedOut: true, elapsedMs };
+      }
+
+      await this.sleep(Math.min(pollIntervalMs, timeoutMs - elapsedMs), signal);
+    }
+  }
+
+  async runProtocol(args, onProgress = async () => {}, signal = null) {
+    const {
+      file_path,
+      support_files = [],
+      labware_definitions = [],
+      protocol_kind = "standard",
+      key,
+      run_time_parameters,
+      skip_lint = false,
+      wait_for_completion = true,
+      analysis_timeout = 300,
+      timeout = 3600
+    } = args;
+    const stages = [];
+    const ids = {};
+    let failure = null;
+    let robot = null;
+
+    // Run one workflow stage, recording how long it took and a one-line result
+    const stage = async (name, fn) => {
+      const start = Date.now();
+      try {
+        const detail = await fn();
+        stages.push({ name, ok: true, ms: Date.now() - start, detail });
+        return true;
+      } catch (error) {
+        stages.push({ name, ok: false, ms: Date.now() - start, detail: error.message });
+        failure = { stage: name, message: error.message };
+        return false;
+      }
+    };
+
+    const formatSeconds = ms => `${(ms / 1000).toFixed(1)}s`;
+    let finalRun = null;
+    let uploadFiles = [...support_files, ...labware_definitions];
+
+    const steps = [
+      ['Lint', async () => {
+        robot = this.resolveRobot(args);
+        const fileError = this.checkProtocolFile(file_path);
+        if (fileError) {
+          throw new Error(fileError.split('\n')[0].replace(/^❌ /, ''));
+        }
+        if (skip_lint) {
+          return 'skipped';
+        }
+
+        const labware = this.resolveLabwareDefinitions(file_path, [...labware_definitions, ...support_files.filter(f => this.isLabwareDefinitionFile(f))]);
+        const labwareProblems = this.formatLabwareProblems(labware);
+        if (labwareProblems) {
+          throw new Error(labwareProblems.replace(/\n+/g, ' ').replace(/- ❌ /g, ''));
+        }
+        uploadFiles = [...new Set([...support_files, ...labware.files].map(f => path.resolve(f)))];
+
+        const { findings } = this.lintProtocolFile(file_path, robot.model, labware.loadNames);
+        const errors = findings.filter(f => f.severity === 'error');
+        if (errors.length > 0) {
+          throw new Error(`${errors.map(f => `line ${f.line}: ${f.message}`).join('; ')} - run \`lint_protocol\` for suggested fixes, or pass skip_lint`);
+        }
+        return findings.length > 0 ? `${findings.length} warning${findings.length !== 1 ? 's' : ''} (see \`lint_protocol\`)` : 'no problems';
+      }],
+
+      ['Upload', async () => {
+        const responseData = await this.postProtocolFiles(robot, { file_path, support_files: uploadFiles, protocol_kind, key, run_time_parameters });
+        const errors = responseData.errors || responseData.data?.errors;
+        if (errors) {
+          throw new Error(errors.length > 0 ? errors.map(err => err.detail || err.message || err).join('; ') : (responseData.message || 'Unknown error'));
+        }
+
+        ids.protocolId = responseData.data.id;
+        return `protocol \`${ids.protocolId}\` (${responseData.data.metadata?.protocolName || path.basename(file_path)})`;
+      }],
+
+      ['Analysis', async () => {
+        const { analysis, timedOut } = await this.waitForAnalysis(robot, ids.protocolId, { timeoutMs: analysis_timeout * 1000, signal });
+        if (timedOut) {
+          throw new Error(`analysis did not complete within ${analysis_timeout}s (status: ${analysis?.status || 'not started'})`);
+        }
+
+        ids.analysisId = analysis.id;
+        const analysisErrors = analysis.errors || [];
+        if (analysis.result === 'error' || analysis.result === 'not-ok' || analysisErrors.length > 0) {
+          throw new Error(`analysis \`${analysis.id}\` failed: ${analysisErrors.map(err => err.detail || err.errorType).join('; ') || analysis.result}`);
+        }
+        if (analysis.result === 'parameter-value-required' && !run_time_parameters) {
+          throw new Error(`analysis \`${analysis.id}\` needs runtime parameter values - pass run_time_parameters`);
+        }
+
+        return `analysis \`${analysis.id}\` ${analysis.result}`;
+      }],
+
+      ['Create Run', async () => {
+        const run = await this.postRun(robot, ids.protocolId, run_time_parameters);
+        ids.runId = run.id;
+        return `run \`${run.id}\` ${run.status}`;
+      }],
+
+      ['Play', async () => {
+        const action = await this.postRunAction(robot, ids.runId, 'play');
+        return `action \`${action.id}\``;
+      }]
+    ];
+
+    if (wait_for_completion) {
+      steps.push(['Wait', async () => {
+        const result = await this.pollRunUntil(robot, ids.runId, {
+          timeoutMs: timeout * 1000,
+          onProgress,
+          signal
+        });
+        finalRun = result.run;
+        if (result.timedOut) {
+          throw new Error(`run still ${result.status} after ${timeout}s (command ${result.position}/${result.total})`);
+        }
+        if (result.status !== 'succeeded') {
+          const errors = (result.run.errors || []).map(err => err.detail || err.title).filter(Boolean);
+          throw new Error(`run ${result.status}${errors.length > 0 ? `: ${errors.join('; ')}` : ''} (command ${result.position}/${result.total})`);
+        }
+        return `run succeeded (${result.total} commands)`;
+      }]);
+    }
+
+    for (const [name, fn] of steps) {
+      if (!(await stage(name, fn))) break;
+    }
+
+    const totalMs = stages.reduce((sum, s) => sum + s.ms, 0);
+    let report;
+    if (failure) {
+      report = `❌ **run_protocol stopped at ${failure.stage}**: ${failure.message}\n\n`;
+    } else if (wait_for_completion) {
+      report = `✅ **Protocol run succeeded** in ${formatSeconds(totalMs)}\n\n`;
+    } else {
+      report = `✅ **Protocol run started** in ${formatSeconds(totalMs)}\n\n`;
+    }
+
+    report += `**Stages:**\n`;
+    stages.forEach(s => {
+      report += `- ${s.ok ? '✅' : '❌'} **${s.name}** (${formatSeconds(s.ms)}): ${s.detail}\n`;
+    });
+
+    report += `\n**Protocol ID:** ${ids.protocolId || 'N/A'}\n`;
+    report += `**Analysis ID:** ${ids.analysisId || 'N/A'}\n`;
+    report += `**Run ID:** ${ids.runId || 'N/A'}\n`;
+    if (finalRun) {
+      report += `**Final Status:** ${finalRun.status}\n`;
+    }
+
+    if (failure?.stage === 'Analysis') {
+      report += `\nNo run was created. Fix the protocol and upload it again.\n`;
+    } else if (ids.runId && !wait_for_completion) {
+      report += `\nUse \`wait_for_run\` with run ID \`${ids.runId}\` to follow progress.\n`;
+    } else if (finalRun?.status === 'awaiting-recovery') {
+      report += `\nThe run is waiting for error recovery. Use \`get_recovery_state\` to see what failed and \`recover_run\` to continue.\n`;
+    } else if (finalRun?.status === 'paused') {
+      report += `\nThe run needs attention. Use \`control_run\` to resume or stop it.\n`;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: report
+        }
+      ]
+    };
+  }
+
+  async robotHealth(args) {
+    try {
+      const robot = this.resolveRobot(args);
+      const data = await this.makeApiRequest(
+        'GET',
+        `${robot.baseUrl}/health`
+      );
+      
+      const health = this.parseHealth(data);
+      const links = data.links || {};
+      
+      let healthText = `✅ **Robot is healthy and connected!**\n\n`;
+      healthText += `**Robot Name:** ${health.name}\n`;
+      healthText += `**API Version:** ${health.apiVersion}\n`;
+      healthText += `**Firmware Version:** ${health.fwVersion}\n`;
+      healthText += `**System Version:** ${health.systemVersion}\n`;
+      healthText += `**Robot Model:** ${health.robotModel}\n`;
+      healthText += `**Robot Serial:** ${health.serial}\n\n`;
+      
+      healthText += `**Available Logs:**\n`;
+      Object.entries(links).forEach(([key, value]) => {
+        if (key.includes('Logs')) {
+          healthText += `- ${key}: ${value.href}\n`;
+        }
+      });
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: healthText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to check robot health: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async controlLights(args) {
+    const { on } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const body = { on };
+      
+      const data = await this.makeApiRequest(
+        'POST',
+        `${robot.baseUrl}/robot/lights`,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify(body)
+      );
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: `✅ Lights turned ${on ? 'ON' : 'OFF'} successfully!`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to control lights: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async homeRobot(args) {
+    const { target = "robot", mount } = args;
+    
+    try {
+      const robot = this.resolveRobot(args);
+      const body = { target };
+      
+      if (target === "pipette" && mount) {
+        body.mount = mount;
+      }
+      
+      const data = await this.makeApiRequest(
+        'POST',
+        `${robot.baseUrl}/robot/home`,
+        { 'Content-Type': 'application/json' },
+        JSON.stringify(body)
+      );
+      
+      let message = `✅ `;
+      if (target === "robot") {
+        message += `Robot homed successfully! All axes are at their home positions.`;
+      } else {
+        message += `Pipette on ${mount} mount homed successfully!`;
+      }
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: message
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to home robot: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async fetchModules(robot) {
+    const data = await this.makeApiRequest('GET', `${robot.baseUrl}/modules`);
+    return data.data || [];
+  }
+
+  // Pick the module to command: by serial, or the only attached module of the type
+  async findModule(robot, moduleType, serial) {
+    const modules = await this.fetchModules(robot);
+    const candidates = modules.filter(module => module.moduleType === moduleType);
+    const label = this.moduleLabels[moduleType];
+
+    if (serial) {
+      const module = modules.find(m => m.serialNumber === serial);
+      if (!module) {
+        throw new Error(`No module with serial ${serial} is attached to ${robot.name}`);
+      }
+      if (module.moduleType !== moduleType) {
+        throw new Error(`${serial} is a ${this.moduleLabels[module.moduleType] || module.moduleType}, not a ${label}`);
+      }
+      return module;
+    }
+    if (candidates.length === 0) {
+      throw new Error(`No ${label} is attached to ${robot.name}`);
+    }
+    if (candidates.length > 1) {
+      throw new Error(`${candidates.length} ${label}s are attached (${candidates.map(m => m.serialNumber).join(', ')}); pass serial to pick one`);
+    }
+    return candidates[0];
+  }
+
+  formatModuleStatus(module) {
+    const data = module.data || {};
+    const temperature = (current, target) => `${current ?? '?'} °C${target !== null && target !== undefined ? ` → ${target} °C` : ''}`;
+
+    switch (module.moduleType) {
+      case 'heaterShakerModuleType':
+        return `Heater ${data.temperatureStatus || 'idle'} ${temperature(data.currentTemperature, data.targetTemperature)}, ` +
+          `shaker ${data.speedStatus || 'idle'} ${data.currentSpeed ?? 0} rpm${data.targetSpeed ? ` → ${data.targetSpeed} rpm` : ''}, latch ${data.labwareLatchStatus || 'unknown'}`;
+      case 'temperatureModuleType':
+        return `${data.status || 'idle'} ${temperature(data.currentTemperature, data.targetTemperature)}`;
+      case 'thermocyclerModuleType':
+        return `Lid ${data.lidStatus || 'unknown'}, block ${data.status || 'idle'} ${temperature(data.currentTemperature, data.targetTemperature)}, ` +
+          `lid heater ${data.lidTemperatureStatus || 'idle'} ${temperature(data.lidTemperature, data.lidTargetTemperature)}` +
+          `${data.currentStepIndex !== null && data.currentStepIndex !== undefined ? `, profile step ${data.currentStepIndex + 1}/${data.totalStepCount}` : ''}`;
+      case 'magneticModuleType':
+        return `${data.engaged ? `Engaged at ${data.height} mm` : 'Disengaged'}`;
+      case 'absorbanceReaderType':
+        return `Lid ${{ on: 'closed', off: 'open' }[data.lidStatus] || 'unknown'}, ${data.status || 'idle'}${data.sampleWavelengths ? `, configured for ${data.sampleWavelengths.join(', ')} nm` : ''}`;
+      default:
+        return data.status || 'Unknown';
+    }
+  }
+
+  checkModuleRange(value, min, max, what) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`${what} is required`);
+    }
+    if (value < min || value > max) {
+      throw new Error(`${what} must be between ${min} and ${max} (got ${value})`);
+    }
+  }
+
+  // Run module commands one at a time as stateless commands, stopping at the first failure. Node's fetch
+  // gives up on response headers after 300 s, so long commands are waited on in slices until they finish.
+  async runModuleCommands(robot, module, commands, timeoutMs) {
+    const completed = [];
+    for (const command of commands) {
+      const deadline = Date.now() + timeoutMs;
+      const slice = () => Math.min(240000, Math.max(1000, deadline - Date.now()));
+      let result;
+      try {
+        result = await this.sendCommand(robot, '/commands', { commandType: command.commandType, params: { moduleId: module.id, ...command.params } }, slice());
+        while (['queued', 'running'].includes(result.status) && Date.now() < deadline) {
+          await this.sleep(1000);
+          const waitMs = slice();
+          const data = await this.makeApiRequest('GET', `${robot.baseUrl}/commands/${result.id}?waitUntilComplete=true&timeout=${waitMs}`, {}, null, waitMs + 10000);
+          result = data.data;
+        }
+      } catch (error) {
+        if (error.message.includes('API Error 409')) {
+          throw new Error(`The robot is busy with a run, so it won't take module commands. Finish or stop the run first (${error.message})`);
+        }
+        throw error;
+      }
+      if (result.status === 'failed') {
+        throw new Error(`${command.commandType} failed: ${result.error ? `${result.error.errorType}: ${result.error.detail}` : 'no error details'}`);
+      }
+      if (result.status !== 'succeeded') {
+        const error = new Error(`${command.commandType} did not finish within ${Math.round(timeoutMs / 1000)}s (still ${result.status}); it keeps running on the robot`);
+        error.stillRunning = true;
+        throw error;
+      }
+      completed.push(result);
+    }
+    return completed;
+  }
+
+  // Shared wrapper for the typed module tools: find the module, build its commands, run them and report
+  async controlModule(args, moduleType, buildCommands) {
+    const { serial, action, timeout } = args;
+    const label = this.moduleLabels[moduleType];
+    let robot = null;
+    let module = null;
+
+    try {
+      robot = this.resolveRobot(args);
+      module = await this.findModule(robot, moduleType, serial);
+      const { commands, summary, timeout: defaultTimeout = 600 } = buildCommands(module, args);
+      const results = await this.runModuleCommands(robot, module, commands, (timeout ?? defaultTimeout) * 1000);
+
+      const updated = (await this.fetchModules(robot)).find(m => m.serialNumber === module.serialNumber) || module;
+      let moduleText = `✅ **${label} \`${module.serialNumber}\`:** ${summary}\n\n`;
+      moduleText += `**Status:** ${this.formatModuleStatus(updated)}\n`;
+      moduleText += `**Commands:** ${results.map(r => r.commandType).join(', ')}\n`;
+
+      const reading = results.find(r => r.commandType === 'absorbanceReader/read');
+      if (reading) {
+        moduleText += `\n${this.formatAbsorbanceReading(reading.result)}`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: moduleText
+          }
+        ]
+      };
+    } catch (error) {
+      let statusText = '';
+      if (error.stillRunning) {
+        try {
+          const current = (await this.fetchModules(robot)).find(m => m.serialNumber === module.serialNumber);
+          if (current) statusText = `\n\n**Status:** ${this.formatModuleStatus(current)}`;
+        } catch (statusError) {
+          // The timeout message stands on its own
+        }
+      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to ${String(action || 'control').replace(/_/g, ' ')} on ${label}: ${error.message}${statusText}`
+          }
+        ]
+      };
+    }
+  }
+
+  async listModules(args) {
+    try {
+      const robot = this.resolveRobot(args);
+      const modules = await this.fetchModules(robot);
+
+      if (modules.length === 0) {
+        return {
+          content: [{
+            type: "text",
+            text: `No modules attached to ${robot.name}. (The Flex magnetic block has no electronics and never appears here.)`
+          }]
+        };
+      }
+
+      const moduleList = modules.map(module => {
+        let entry = `**${this.moduleLabels[module.moduleType] || module.moduleType}** (${module.moduleModel})\n`;
+        entry += `  Serial: ${module.serialNumber}\n`;
+        entry += `  Status: ${this.formatModuleStatus(module)}\n`;
+        entry += `  Firmware: ${module.firmwareVersion || 'Unknown'}${module.hasAvailableUpdate ? ' ⚠️ update available' : ''}\n`;
+        if (module.usbPort) {
+          entry += `  USB: port ${module.usbPort.port}${module.usbPort.hub ? ` (hub ${module.usbPort.hub})` : ''}\n`;
+        }
+        if (module.compatibleWithRobot === false) {
+          entry += `  ⚠️ Not compatible with this robot\n`;
+        }
+        return entry;
+      }).join('\n');
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `**Modules on ${robot.name}:** ${modules.length}\n\n${moduleList}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to list modules: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async controlHeaterShaker(args) {
+    return this.controlModule(args, 'heaterShakerModuleType', (module, { action, temperature, rpm, wait = false }) => {
+      switch (action) {
+        case 'set_temperature':
+          this.checkModuleRange(temperature, 37, 95, 'temperature');
+          return {
+            commands: [
+              { commandType: 'heaterShaker/setTargetTemperature', params: { celsius: temperature } },
+              ...(wait ? [{ commandType: 'heaterShaker/waitForTemperature', params: {} }] : [])
+            ],
+            summary: wait ? `reached ${temperature} °C` : `heating to ${temperature} °C`
+          };
+        case 'wait_for_temperature':
+          return { commands: [{ commandType: 'heaterShaker/waitForTemperature', params: {} }], summary: 'reached target temperature' };
+        case 'deactivate_heater':
+          return { commands: [{ commandType: 'heaterShaker/deactivateHeater', params: {} }], summary: 'heater off' };
+        case 'shake':
+          this.checkModuleRange(rpm, 200, 3000, 'rpm');
+          if (module.data?.labwareLatchStatus !== 'idle_closed') {
+            throw new Error(`The labware latch is ${module.data?.labwareLatchStatus || 'not closed'}; close it first with action close_latch`);
+          }
+          return { commands: [{ commandType: 'heaterShaker/setAndWaitForShakeSpeed', params: { rpm } }], summary: `shaking at ${rpm} rpm` };
+        case 'stop_shaking':
+          return { commands: [{ commandType: 'heaterShaker/deactivateShaker', params: {} }], summary: 'shaker stopped' };
+        case 'open_latch':
+          return { commands: [{ commandType: 'heaterShaker/openLabwareLatch', params: {} }], summary: 'latch open' };
+        case 'close_latch':
+          return { commands: [{ commandType: 'heaterShaker/closeLabwareLatch', params: {} }], summary: 'latch closed' };
+        default:
+          throw new Error(`Unknown action '${action}'`);
+      }
+    });
+  }
+
+  async controlTemperatureModule(args) {
+    return this.controlModule(args, 'temperatureModuleType', (module, { action, temperature, wait = false }) => {
+      switch (action) {
+        case 'set_temperature':
+          this.checkModuleRange(temperature, 4, 95, 'temperature');
+          return {
+            commands: [
+              { commandType: 'temperatureModule/setTargetTemperature', params: { celsius: temperature } },
+              ...(wait ? [{ commandType: 'temperatureModule/waitForTemperature', params: {} }] : [])
+            ],
+            summary: wait ? `reached ${temperature} °C` : `heading to ${temperature} °C`
+          };
+        case 'wait_for_temperature':
+          return { commands: [{ commandType: 'temperatureModule/waitForTemperature', params: {} }], summary: 'reached target temperature' };
+        case 'deactivate':
+          return { commands: [{ commandType: 'temperatureModule/deactivate', params: {} }], summary: 'deactivated' };
+        default:
+          throw new Error(`Unknown action '${action}'`);
+      }
+    });
+  }
+
+  async controlThermocycler(args) {
+    return this.controlModule(args, 'thermocyclerModuleType', (module, { action, temperature, hold_time, block_max_volume, wait = false, profile = [], repetitions = 1 }) => {
+      switch (action) {
+        case 'set_block_temperature': {
+          this.checkModuleRange(temperature, 4, 99, 'temperature');
+          const params = { celsius: temperature };
+          if (hold_time !== undefined) params.holdTimeSeconds = hold_time;
+          if (block_max_volume !== undefined) params.blockMaxVolumeUl = block_max_volume;
+          return {
+            commands: [
+              { commandType: 'thermocycler/setTargetBlockTemperature', params },
+              ...(wait ? [{ commandType: 'thermocycler/waitForBlockTemperature', params: {} }] : [])
+            ],
+            summary: wait ? `block reached ${temperature} °C` : `block heading to ${temperature} °C`
+          };
+        }
+        case 'set_lid_temperature':
+          this.checkModuleRange(temperature, 37, 110, 'temperature');
+          return {
+            commands: [
+              { commandType: 'thermocycler/setTargetLidTemperature', params: { celsius: temperature } },
+              ...(wait ? [{ commandType: 'thermocycler/waitForLidTemperature', params: {} }] : [])
+            ],
+            summary: wait ? `lid reached ${temperature} °C` : `lid heading to ${temperature} °C`
+          };
+        case 'wait_for_block_temperature':
+          return { commands: [{ commandType: 'thermocycler/waitForBlockTemperature', params: {} }], summary: 'block reached target temperature' };
+        case 'wait_for_lid_temperature':
+          return { commands: [{ commandType: 'thermocycler/waitForLidTemperature', params: {} }], summary: 'lid reached target temperature' };
+        case 'open_lid':
+          return { commands: [{ commandType: 'thermocycler/openLid', params: {} }], summary: 'lid open' };
+        case 'close_lid':
+          return { commands: [{ commandType: 'thermocycler/closeLid', params: {} }], summary: 'lid closed' };
+        case 'deactivate_block':
+          return { commands: [{ commandType: 'thermocycler/deactivateBlock', params: {} }], summary: 'block off' };
+        case 'deactivate_lid':
+          return { commands: [{ commandType: 'thermocycler/deactivateLid', params: {} }], summary: 'lid heater off' };
+        case 'run_profile': {
+          if (profile.length === 0) {
+            throw new Error('profile needs at least one step');
+          }
+          profile.forEach((step, i) => {
+            this.checkModuleRange(step.temperature, 4, 99, `profile[${i}].temperature`);
+            this.checkModuleRange(step.hold_time, 0, 86400, `profile[${i}].hold_time`);
+          });
+          const steps = Array.from({ length: repetitions }, () => profile).flat()
+            .map(step => ({ celsius: step.temperature, holdSeconds: step.hold_time }));
+          const params = { profile: steps };
+          if (block_max_volume !== undefined) params.blockMaxVolumeUl = block_max_volume;
+          // Allow the total hold time plus a minute per step for ramping
+          const profileSeconds = steps.reduce((total, step) => total + step.holdSeconds + 60, 0);
+          return {
+            commands: [{ commandType: 'thermocycler/runProfile', params }],
+            timeout: Math.max(600, profileSeconds),
+            summary: `ran ${steps.length}-step profile (${profile.length} step${profile.length !== 1 ? 's' : ''} × ${repetitions})`
+          };
+        }
+        default:
+          throw new Error(`Unknown action '${action}'`);
+      }
+    });
+  }
+
+  async controlMagneticModule(args) {
+    return this.controlModule(args, 'magneticModuleType', (module, { action, height }) => {
+      switch (action) {
+        case 'engage':
+          this.checkModuleRange(height, -2.5, 25, 'height (mm above labware base)');
+          return { commands: [{ commandType: 'magneticModule/engage', params: { height } }], summary: `engaged at ${height} mm` };
+        case 'disengage':
+          return { commands: [{ commandType: 'magneticModule/disengage', params: {} }], summary: 'disengaged' };
+        default:
+          throw new Error(`Unknown action '${action}'`);
+      }
+    });
+  }
+
+  async controlAbsorbanceReader(args) {
+    return this.controlModule(args, 'absorbanceReaderType', (module, { action, wavelengths = [], reference_wavelength, file_name }) => {
+      switch (action) {
+        case 'open_lid':
+          return { commands: [{ commandType: 'absorbanceReader/openLid', params: {} }], summary: 'lid open' };
+        case 'close_lid':
+          return { commands: [{ commandType: 'absorbanceReader/closeLid', params: {} }], summary: 'lid closed' };
+        case 'initialize': {
+          if (wavelengths.length === 0) {
+            throw new Error('wavelengths needs at least one wavelength in nm');
+          }
+          const params = { measureMode: wavelengths.length > 1 ? 'multi' : 'single', sampleWavelengths: wavelengths };
+          if (reference_wavelength !== undefined) {
+            if (wavelengths.length > 1) {
+              throw new Error('reference_wavelength only works with a single sample wavelength');
+            }
+            params.referenceWavelength = reference_wavelength;
+          }
+          return { commands: [{ commandType: 'absorbanceReader/initialize', params }], summary: `configured for ${wavelengths.join(', ')} nm` };
+        }
+        case 'read':
+          if (module.data?.lidStatus !== 'on') {
+            throw new Error(`The lid is ${module.data?.lidStatus === 'off' ? 'open' : 'not closed'}; close it first with action close_lid`);
+          }
+          return { commands: [{ commandType: 'absorbanceReader/read', params: file_name ? { fileName: file_name } : {} }], summary: 'plate read' };
+        default:
+          throw new Error(`Unknown action '${action}'`);
+      }
+    });
+  }
+
+  // Readings come back as {wavelength: {well: OD}}; show each wavelength as a plate grid
+  formatAbsorbanceReading(result = {}) {
+    let readingText = '';
+    Object.entries(result.data || {}).forEach(([wavelength, wells]) => {
+      readingText += `**${wavelength} nm:**\n\n|   | ${Array.from({ length: 12 }, (_, i) => i + 1).join(' | ')} |\n|---${'|---'.repeat(12)}|\n`;
+      'ABCDEFGH'.split('').forEach(row => {
+        const values = Array.from({ length: 12 }, (_, i) => wells[`${row}${i + 1}`]);
+        readingText += `| **${row}** | ${values.map(value => (typeof value === 'number' ? value.toFixed(3) : '')).join(' | ')} |\n`;
+      });
+      readingText += '\n';
+    });
+    if (result.fileIds?.length > 0) {
+      readingText += `**Saved Files:** ${result.fileIds.join(', ')}\n`;
+    }
+    return readingText || `No readings returned.\n`;
+  }
+
+  // Firmware updates are refused while a protocol or maintenance run is using the hardware
+  async findActiveRun(robot) {
+    const runsData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs`);
+    const current = (runsData.data || []).find(run => run.current);
+    if (current && !['idle', 'succeeded', 'failed', 'stopped'].includes(current.status)) {
+      return `run ${current.id} is ${current.status}`;
+    }
+
+    try {
+      const maintenance = await this.makeApiRequest('GET', `${robot.baseUrl}/maintenance_runs/current_run`);
+      if (maintenance.data?.id) {
+        return `maintenance run ${maintenance.data.id} (calibration or attach flow) is in progress`;
+      }
+    } catch (error) {
+      // No maintenance run, or an OT-2 without maintenance runs
+    }
+    return null;
+  }
+
+  formatFirmwareResults(results) {
+    return results.map(result => {
+      const icon = { updated: '✅', current: '✔️', failed: '❌', timeout: '⏱️' }[result.status];
+      return `- ${icon} **${result.name}**: ${result.message}\n`;
+    }).join('');
+  }
+
+  async updateModuleFirmware(args, onProgress = async () => {}, signal = null) {
+    const { serial = 'all', timeout = 600 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const activeRun = await this.findActiveRun(robot);
+      if (activeRun) {
+        throw new Error(`Not updating while ${activeRun}. Wait for it to finish or stop it first`);
+      }
+
+      const modules = await this.fetchModules(robot);
+      let targets = modules;
+      if (serial !== 'all') {
+        targets = modules.filter(module => module.serialNumber === serial);
+        if (targets.length === 0) {
+          throw new Error(`No module with serial ${serial} is attached to ${robot.name}`);
+        }
+      }
+
+      const results = [];
+      for (const [i, module] of targets.entries()) {
+        const name = `${this.moduleLabels[module.moduleType] || module.moduleType} ${module.serialNumber}`;
+        if (!module.hasAvailableUpdate) {
+          results.push({ name, status: 'current', message: `up to date (${module.firmwareVersion || 'unknown version'})` });
+          continue;
+        }
+
+        await onProgress(i, targets.length, `Updating ${name}`);
+        const startedAt = Date.now();
+        try {
+          // The robot flashes the module before responding; the module then drops off USB and reconnects
+          const data = await this.makeApiRequest('POST', `${robot.baseUrl}/modules/${module.serialNumber}/update`, {}, null, timeout * 1000);
+
+          let updated = null;
+          while (Date.now() - startedAt < timeout * 1000) {
+            try {
+              updated = (await this.fetchModules(robot)).find(m => m.serialNumber === module.serialNumber);
+            } catch (error) {
+              updated = null;
+            }
+            if (updated && !updated.hasAvailableUpdate) break;
+            await this.sleep(3000, signal);
+          }
+
+          if (updated && !updated.hasAvailableUpdate) {
+            results.push({ name, status: 'updated', message: `${module.firmwareVersion || '?'} → ${updated.firmwareVersion || '?'} in ${this.formatDuration(Date.now() - startedAt)}` });
+          } else {
+            results.push({
+              name,
+              status: 'timeout',
+              message: `${data.message || 'update started'}, but the module ${updated ? 'still reports an available update' : 'has not reconnected'} after ${timeout}s`
+            });
+          }
+        } catch (error) {
+          if (error.message === 'Request cancelled') throw error;
+          results.push({ name, status: 'failed', message: error.message });
+        }
+      }
+
+      const updatedCount = results.filter(result => result.status === 'updated').length;
+      const failedCount = results.filter(result => result.status === 'failed' || result.status === 'timeout').length;
+      let firmwareText = `**Module Firmware on ${robot.name}**\n\n`;
+      firmwareText += targets.length === 0 ? `No modules attached.\n` : this.formatFirmwareResults(results);
+      firmwareText += `\n${updatedCount} updated, ${results.length - updatedCount - failedCount} already current, ${failedCount} failed\n`;
+      if (failedCount > 0) {
+        firmwareText += `\nFor failed modules, check the USB cable and power, then try again.\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: firmwareText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to update module firmware: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  async fetchSubsystems(robot) {
+    try {
+      const data = await this.makeApiRequest('GET', `${robot.baseUrl}/subsystems/status`);
+      return data.data || [];
+    } catch (error) {
+      if (error.message.includes('API Error 404')) {
+        throw new Error(`${robot.name} has no updatable subsystems; subsystem firmware updates are Flex only`);
+      }
+      throw error;
+    }
+  }
+
+  async updateSubsystemFirmware(args, onProgress = async () => {}, signal = null) {
+    const { subsystem = 'all', timeout = 900 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const activeRun = await this.findActiveRun(robot);
+      if (activeRun) {
+        throw new Error(`Not updating while ${activeRun}. Wait for it to finish or stop it first`);
+      }
+
+      const subsystems = await this.fetchSubsystems(robot);
+      let targets = subsystems;
+      if (subsystem !== 'all') {
+        targets = subsystems.filter(s => s.name === subsystem);
+        if (targets.length === 0) {
+          throw new Error(`${robot.name} has no subsystem '${subsystem}'. Attached: ${subsystems.map(s => s.name).join(', ')}`);
+        }
+      }
+
+      const results = [];
+      for (const [i, target] of targets.entries()) {
+        if (!target.fw_update_needed) {
+          results.push({ name: target.name, status: 'current', message: `up to date (version ${target.current_fw_version})` });
+          continue;
+        }
+
+        await onProgress(i, targets.length, `Updating ${target.name}`);
+        const startedAt = Date.now();
+        try {
+          const started = await this.makeApiRequest('POST', `${robot.baseUrl}/subsystems/updates/${target.name}`);
+          let update = started.data;
+          while (!['done', 'failed'].includes(update?.updateStatus) && Date.now() - startedAt < timeout * 1000) {
+            await this.sleep(3000, signal);
+            try {
+              update = (await this.makeApiRequest('GET', `${robot.baseUrl}/subsystems/updates/all/${started.data.id}`)).data;
+            } catch (error) {
+              // The robot can be briefly unresponsive while a board reboots
+            }
+          }
+
+          if (update?.updateStatus === 'done') {
+            const after = (await this.fetchSubsystems(robot)).find(s => s.name === target.name);
+            results.push({
+              name: target.name,
+              status: 'updated',
+              message: `version ${target.current_fw_version} → ${after?.current_fw_version ?? target.next_fw_version} in ${this.formatDuration(Date.now() - startedAt)}`
+            });
+          } else if (update?.updateStatus === 'failed') {
+            results.push({ name: target.name, status: 'failed', message: update.updateError?.detail || update.updateError?.title || 'update failed' });
+          } else {
+            results.push({ name: target.name, status: 'timeout', message: `still ${update?.updateStatus || 'unknown'} (${update?.updateProgress ?? 0}%) after ${timeout}s` });
+          }
+        } catch (error) {
+          if (error.message === 'Request cancelled') throw error;
+          results.push({ name: target.name, status: 'failed', message: error.message });
+        }
+      }
+
+      const updatedCount = results.filter(result => result.status === 'updated').length;
+      const failedCount = results.filter(result => result.status === 'failed' || result.status === 'timeout').length;
+      let firmwareText = `**Subsystem Firmware on ${robot.name}**\n\n`;
+      firmwareText += this.formatFirmwareResults(results);
+      firmwareText += `\n${updatedCount} updated, ${results.length - updatedCount - failedCount} already current, ${failedCount} failed\n`;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: firmwareText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to update subsystem firmware: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // Attached instruments in the /instruments shape. Robots too old for /instruments fall back to /pipettes.
+  async fetchInstruments(robot) {
+    try {
+      const data = await this.makeApiRequest('GET', `${robot.baseUrl}/instruments`);
+      return data.data || [];
+    } catch (error) {
+      if (!error.message.includes('API Error 404')) throw error;
+    }
+
+    const legacy = await this.makeApiRequest('GET', `${robot.baseUrl}/pipettes`);
+    return ['left', 'right']
+      .filter(mount => legacy[mount]?.model)
+      .map(mount => ({
+        mount,
+        instrumentType: 'pipette',
+        instrumentName: legacy[mount].name,
+        instrumentModel: legacy[mount].model,
+        serialNumber: legacy[mount].id,
+        ok: true,
+        data: { channels: this.pipetteChannels(legacy[mount].name) }
+      }));
+  }
+
+  formatInstrumentCalibration(data = {}) {
+    const calibration = data.calibratedOffset;
+    if (!calibration || calibration.source === 'default') {
+      return '⚠️ Not calibrated';
+    }
+    const offset = calibration.offset || {};
+    const round = value => (Math.round((value ?? 0) * 100) / 100).toFixed(2);
+    let calibrationText = `${calibration.last_modified ? `Calibrated ${new Date(calibration.last_modified).toLocaleString()}` : 'Calibrated'}` +
+      ` (offset x ${round(offset.x)}, y ${round(offset.y)}, z ${round(offset.z)} mm)`;
+    if (calibration.reasonability_check_failed) {
+      calibrationText += ' ⚠️ failed the reasonability check, recalibrate';
+    }
+    return calibrationText;
+  }
+
+  formatInstrument(instrument) {
+    if (!instrument.ok) {
+      return `⚠️ ${instrument.subsystem || instrument.instrumentType || 'Instrument'} needs attention: ${instrument.status || 'firmware update required'}` +
+        ` - run \`update_subsystem_firmware\`\n`;
+    }
+
+    const data = instrument.data || {};
+    let instrumentText = `${instrument.instrumentName || instrument.instrumentModel}${instrument.instrumentModel ? ` (${instrument.instrumentModel})` : ''}\n`;
+    if (instrument.instrumentType === 'pipette') {
+      instrumentText += `  Channels: ${data.channels ?? this.pipetteChannels(instrument.instrumentName)}\n`;
+      if (data.min_volume !== undefined && data.max_volume !== undefined) {
+        instrumentText += `  Volume: ${data.min_volume}-${data.max_volume} µL\n`;
+      }
+    } else if (data.jawState) {
+      instrumentText += `  Jaw: ${data.jawState}\n`;
+    }
+    instrumentText += `  Serial: ${instrument.serialNumber || 'Unknown'}\n`;
+    if (instrument.firmwareVersion !== undefined) {
+      instrumentText += `  Firmware: ${instrument.firmwareVersion}\n`;
+    }
+    if (data.calibratedOffset !== undefined || instrument.subsystem) {
+      instrumentText += `  Calibration: ${this.formatInstrumentCalibration(data)}\n`;
+    }
+    return instrumentText;
+  }
+
+  async getInstruments(args) {
+    try {
+      const robot = this.resolveRobot(args);
+      const instruments = await this.fetchInstruments(robot);
+      const byMount = new Map(instruments.map(instrument => [instrument.mount, instrument]));
+      const ninetySix = instruments.find(instrument => instrument.instrumentType === 'pipette' && (instrument.data?.channels === 96 || this.pipetteChannels(instrument.instrumentName) === 96));
+
+      let instrumentText = `**Instruments on ${robot.name}**\n\n`;
+      instrumentText += `**Left Mount:** ${byMount.has('left') ? this.formatInstrument(byMount.get('left')) : 'Empty\n'}`;
+      instrumentText += `**Right Mount:** ${ninetySix ? 'Used by the 96-channel pipette\n' : byMount.has('right') ? this.formatInstrument(byMount.get('right')) : 'Empty\n'}`;
+      const isFlex = robot.model === 'Flex' || instruments.some(instrument => instrument.subsystem);
+      if (isFlex || byMount.has('extension')) {
+        instrumentText += `**Extension Mount (Gripper):** ${byMount.has('extension') ? this.formatInstrument(byMount.get('extension')) : 'Empty\n'}`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: instrumentText
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `❌ Failed to get instruments: ${error.message}`
+          }
         ]
       };
     }
   }
 
-  async getRunStatus(args) {
-    const { robot_ip, run_id } = args;
-    
+  // Protocol pipette names as the robot reports them. Python Flex names (flex_1channel_1000) become
+  // engine names (p1000_single_flex); GEN2 pipettes stand in for the GEN1 models they replace.
+  pipetteNameMatches(requested, attached) {
+    const wanted = this.pipetteEngineName(requested);
+    if (wanted === attached) return true;
+    const replacements = {
+      p10_single: 'p20_single_gen2', p10_multi: 'p20_multi_gen2', p300_single: 'p300_single_gen2',
+      p300_multi: 'p300_multi_gen2', p1000_single: 'p1000_single_gen2'
+    };
+    return replacements[wanted] === attached;
+  }
+
+  async checkProtocolInstruments(args) {
+    const { protocol_id, analysis_id } = args;
+
     try {
-      const data = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/runs/${run_id}`
-      );
-      
-      const run = data.data;
-      
-      // Get recent commands
-      const commandsData = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/runs/${run_id}/commands?pageLength=5`
-      );
-      
-      const commands = commandsData.data || [];
-      const totalCommands = commandsData.meta?.totalLength || 0;
-      const completedCommands = commands.filter(c => c.status === 'succeeded').length;
-      
-      let statusText = `**Run Status: ${run.status}**\n\n`;
-      statusText += `**Run ID:** ${run.id}\n`;
-      statusText += `**Created:** ${new Date(run.createdAt).toLocaleString()}\n`;
-      statusText += `**Started:** ${run.startedAt ? new Date(run.startedAt).toLocaleString() : 'Not started'}\n`;
-      statusText += `**Completed:** ${run.completedAt ? new Date(run.completedAt).toLocaleString() : 'Not completed'}\n`;
-      statusText += `**Protocol:** ${run.protocolId || 'None'}\n`;
-      statusText += `**Commands:** ${completedCommands}/${totalCommands} completed\n\n`;
-      
-      if (run.errors && run.errors.length > 0) {
-        statusText += `**Errors:**\n`;
-        run.errors.forEach(err => {
-          statusText += `- ${err.detail || err.title || 'Unknown error'}\n`;
-        });
-        statusText += '\n';
+      const robot = this.resolveRobot(args);
+      const analysis = await this.fetchProtocolAnalysis(robot, protocol_id, analysis_id);
+      const instruments = await this.fetchInstruments(robot);
+      const byMount = new Map(instruments.filter(instrument => instrument.ok !== false).map(instrument => [instrument.mount, instrument]));
+      const pipettes = instruments.filter(instrument => instrument.instrumentType === 'pipette' && instrument.ok !== false);
+
+      const matches = [];
+      const problems = [];
+      const warnings = [];
+      const commands = analysis.commands || [];
+
+      commands.filter(command => command.commandType === 'loadPipette').forEach(command => {
+        const { pipetteName, mount } = command.params || {};
+        const attached = byMount.get(mount);
+        const where = `${pipetteName} on the ${mount} mount`;
+
+        if (attached && this.pipetteNameMatches(pipetteName, attached.instrumentName)) {
+          matches.push(`- ✅ ${where}: ${attached.instrumentName} \`${attached.serialNumber || 'no serial'}\`${attached.instrumentName !== pipetteName ? ' (compatible replacement)' : ''}\n`);
+          if (attached.data?.calibratedOffset !== undefined || attached.subsystem) {
+            const calibration = this.formatInstrumentCalibration(attached.data);
+            if (calibration.startsWith('⚠️')) warnings.push(`- ${attached.mount} pipette: ${calibration.replace('⚠️ ', '')}\n`);
+          }
+          return;
+        }
+
+        const elsewhere = pipettes.find(instrument => instrument.mount !== mount && this.pipetteNameMatches(pipetteName, instrument.instrumentName));
+        if (elsewhere) {
+          problems.push(`- ❌ **Mount mismatch:** the protocol loads ${where}, but it is attached on the **${elsewhere.mount}** mount. Swap the pipettes, or change the protocol to \`mount="${elsewhere.mount}"\`\n`);
+        } else if (attached) {
+          problems.push(`- ❌ The protocol loads ${where}, but ${attached.instrumentName} is attached there\n`);
+        } else {
+          const broken = instruments.find(instrument => instrument.mount === mount && instrument.ok === false);
+          problems.push(`- ❌ The protocol loads ${where}, but ${broken ? 'the pipette there needs a firmware update (`update_subsystem_firmware`)' : 'nothing is attached there'}\n`);
+        }
+      });
+
+      const needsGripper = commands.some(command => command.commandType === 'moveLabware' && command.params?.strategy === 'usingGripper');
+      if (needsGripper) {
+        const gripper = byMount.get('extension');
+        if (!gripper) {
+          problems.push(`- ❌ The protocol moves labware with the gripper, but no working gripper is attached\n`);
+        } else {
+          matches.push(`- ✅ Gripper: ${gripper.instrumentModel || gripper.instrumentName} \`${gripper.serialNumber || 'no serial'}\`\n`);
+          if (this.formatInstrumentCalibration(gripper.data).startsWith('⚠️')) warnings.push(`- Gripper: not calibrated\n`);
+        }
       }
-      
-      if (commands.length > 0) {
-        statusText += `**Recent Commands:**\n`;
-        commands.slice(0, 5).forEach(cmd => {
-          statusText += `- ${cmd.commandType}: ${cmd.status}\n`;
-        });
+
+      let instrumentText = `**Instrument Check:** protocol \`${protocol_id}\` on ${robot.name}\n\n`;
+      if (matches.length === 0 && problems.length === 0) {
+        instrumentText += `The protocol doesn't load any pipettes.\n`;
+      } else if (problems.length === 0) {
+        instrumentText += `✅ **All instruments match**\n\n${matches.join('')}`;
+      } else {
+        instrumentText += `❌ **${problems.length} problem${problems.length !== 1 ? 's' : ''}** - fix before creating a run\n\n${problems.join('')}`;
+        if (matches.length > 0) {
+          instrumentText += `\n**Matching:**\n${matches.join('')}`;
+        }
       }
-      
+      if (warnings.length > 0) {
+        instrumentText += `\n**Calibration Warnings:**\n${warnings.join('')}`;
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: statusText
+            text: instrumentText
           }
         ]
       };
@@ -1925,45 +7793,142 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to get run status: ${error.message}`
+            text: `❌ Failed to check protocol instruments: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async robotHealth(args) {
-    const { robot_ip } = args;
-    
+  // One calibration's state: missing, marked bad, stale or ok
+  calibrationState({ present = true, lastModified = null, markedBad = false }, staleDays) {
+    if (!present) return { state: 'missing', icon: '❌', text: 'Missing' };
+    if (markedBad) return { state: 'bad', icon: '❌', text: `Marked bad${lastModified ? ` (calibrated ${new Date(lastModified).toLocaleDateString()})` : ''}` };
+    if (!lastModified) return { state: 'ok', icon: '✅', text: 'Calibrated (no timestamp)' };
+
+    const ageDays = Math.floor((Date.now() - new Date(lastModified)) / (24 * 60 * 60 * 1000));
+    const when = `${new Date(lastModified).toLocaleDateString()}, ${ageDays} day${ageDays !== 1 ? 's' : ''} ago`;
+    if (ageDays > staleDays) return { state: 'stale', icon: '⚠️', text: `Stale - ${when}` };
+    return { state: 'ok', icon: '✅', text: `Calibrated ${when}` };
+  }
+
+  // Calibration endpoints differ by robot and software version, so missing ones are skipped
+  async fetchOptional(robot, apiPath) {
     try {
-      const data = await this.makeApiRequest(
-        'GET',
-        `http://${robot_ip}:31950/health`
-      );
-      
-      const health = data;
-      const links = health.links || {};
-      
-      let healthText = `✅ **Robot is healthy and connected!**\n\n`;
-      healthText += `**Robot Name:** ${health.name || 'Unknown'}\n`;
-      healthText += `**API Version:** ${health.api_version}\n`;
-      healthText += `**Firmware Version:** ${health.fw_version || 'Unknown'}\n`;
-      healthText += `**System Version:** ${health.system_version || 'Unknown'}\n`;
-      healthText += `**Robot Model:** ${health.robot_model || 'Unknown'}\n`;
-      healthText += `**Robot Serial:** ${health.robot_serial || 'Unknown'}\n\n`;
-      
-      healthText += `**Available Logs:**\n`;
-      Object.entries(links).forEach(([key, value]) => {
-        if (key.includes('Logs')) {
-          healthText += `- ${key}: ${value.href}\n`;
+      return await this.makeApiRequest('GET', `${robot.baseUrl}${apiPath}`);
+    } catch (error) {
+      if (error.message.includes('API Error 404')) return null;
+      throw error;
+    }
+  }
+
+  async calibrationReport(args) {
+    const { stale_days = 90 } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const instruments = await this.fetchInstruments(robot);
+      const isFlex = robot.model === 'Flex' || instruments.some(instrument => instrument.subsystem);
+      const pipettes = instruments.filter(instrument => instrument.instrumentType === 'pipette' && instrument.ok !== false);
+      const entries = [];
+      const add = (section, name, calibration, runType) => {
+        entries.push({ section, name, runType, ...this.calibrationState(calibration, stale_days) });
+      };
+
+      if (isFlex) {
+        // Flex pipettes and the gripper carry their calibration in /instruments; tip lengths are measured at pick-up
+        pipettes.forEach(pipette => {
+          const offset = pipette.data?.calibratedOffset;
+          add('Pipette Offset', `${pipette.mount} ${pipette.instrumentName} \`${pipette.serialNumber}\``, {
+            present: Boolean(offset && offset.source !== 'default'),
+            lastModified: offset?.last_modified,
+            markedBad: Boolean(offset?.reasonability_check_failed)
+          }, 'pipette_offset_calibration');
+        });
+        const gripper = instruments.find(instrument => instrument.instrumentType === 'gripper' && instrument.ok !== false);
+        if (gripper) {
+          const offset = gripper.data?.calibratedOffset;
+          add('Gripper', `${gripper.instrumentModel || gripper.instrumentName} \`${gripper.serialNumber}\``, {
+            present: Boolean(offset && offset.source !== 'default'),
+            lastModified: offset?.last_modified,
+            markedBad: Boolean(offset?.reasonability_check_failed)
+          }, null);
+        }
+      } else {
+        const status = await this.fetchOptional(robot, '/calibration/status');
+        const deck = status?.deckCalibration;
+        if (deck) {
+          const deckStatus = typeof deck.status === 'string' ? deck.status : deck.status?.status;
+          add('Deck', 'Deck', {
+            present: Boolean(deck.data?.lastModified || deck.data?.matrix) && deckStatus !== 'IDENTITY',
+            lastModified: deck.data?.lastModified,
+            markedBad: Boolean(deck.data?.status?.markedBad || deck.status?.markedBad) || ['BAD_CALIBRATION', 'SINGULARITY'].includes(deckStatus)
+          }, 'deck_calibration');
+        }
+
+        const offsets = (await this.fetchOptional(robot, '/calibration/pipette_offset'))?.data || [];
+        const tipLengths = (await this.fetchOptional(robot, '/calibration/tip_length'))?.data || [];
+        pipettes.forEach(pipette => {
+          const name = `${pipette.mount} ${pipette.instrumentName} \`${pipette.serialNumber}\``;
+          const offset = offsets.find(entry => entry.pipette === pipette.serialNumber && entry.mount === pipette.mount);
+          add('Pipette Offset', name, {
+            present: Boolean(offset),
+            lastModified: offset?.lastModified,
+            markedBad: Boolean(offset?.status?.markedBad)
+          }, 'pipette_offset_calibration');
+
+          const tips = tipLengths.filter(entry => entry.pipette === pipette.serialNumber);
+          if (tips.length === 0) {
+            add('Tip Length', name, { present: false }, 'tip_length_calibration');
+          }
+          tips.forEach(tip => {
+            add('Tip Length', `${name} with ${tip.uri || tip.tiprack} (${tip.tipLength} mm)`, {
+              lastModified: tip.lastModified,
+              markedBad: Boolean(tip.status?.markedBad)
+            }, 'tip_length_calibration');
+          });
+        });
+      }
+
+      let reportText = `**Calibration Report for ${robot.name}** (${isFlex ? 'Flex' : 'OT-2'}, stale after ${stale_days} days)\n`;
+      const sections = isFlex ? ['Pipette Offset', 'Gripper'] : ['Deck', 'Pipette Offset', 'Tip Length'];
+      sections.forEach(section => {
+        const sectionEntries = entries.filter(entry => entry.section === section);
+        reportText += `\n## ${section}\n\n`;
+        if (sectionEntries.length === 0) {
+          reportText += section === 'Deck' ? `No deck calibration data reported.\n` : `Nothing attached.\n`;
         }
+        sectionEntries.forEach(entry => {
+          reportText += `- ${entry.icon} ${entry.name}: ${entry.text}\n`;
+        });
       });
-      
+      if (isFlex) {
+        reportText += `\nFlex has no separate deck or tip length calibration; tip lengths are measured when tips are picked up.\n`;
+      }
+
+      const counts = ['ok', 'stale', 'bad', 'missing'].map(state => `${entries.filter(entry => entry.state === state).length} ${state}`);
+      reportText += `\n**Summary:** ${counts.join(', ')}\n`;
+
+      // Anything not ok needs redoing; on an OT-2 deck calibration comes first, then tip length, then pipette offset
+      const toFix = entries.filter(entry => entry.state !== 'ok');
+      if (toFix.length > 0) {
+        const order = ['deck_calibration', 'tip_length_calibration', 'pipette_offset_calibration'];
+        const runTypes = [...new Set(toFix.map(entry => entry.runType).filter(Boolean))].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        reportText += `\n**To Fix:**\n`;
+        runTypes.forEach(runType => {
+          const names = toFix.filter(entry => entry.runType === runType).map(entry => entry.name);
+          reportText += `- \`POST /maintenance_runs\` with runType \`${runType}\`: ${names.join('; ')}\n`;
+        });
+        if (toFix.some(entry => entry.section === 'Gripper')) {
+          reportText += `- Gripper: run gripper calibration from the Opentrons App (there is no maintenance run type for it in the catalog)\n`;
+        }
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: healthText
+            text: reportText
           }
         ]
       };
@@ -1972,31 +7937,397 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to check robot health: ${error.message}`
+            text: `❌ Failed to build calibration report: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async controlLights(args) {
-    const { robot_ip, on } = args;
-    
+  // Match a concrete or templated path against a catalog template. Returns the path parameter
+  // values embedded in a concrete path, plus aliases for templated segments whose names differ
+  // from the catalog's (e.g. {run_id} in the bundled list vs {runId} in a live spec).
+  matchPathTemplate(template, requestPath) {
+    const names = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const match = new RegExp(`^${pattern}$`).exec(requestPath);
+    if (!match) return null;
+
+    const params = {};
+    const aliases = {};
+    names.forEach((name, i) => {
+      const segment = match[i + 1];
+      const templated = /^\{([^}]+)\}$/.exec(segment);
+      if (templated) {
+        aliases[templated[1]] = name;
+      } else {
+        params[name] = decodeURIComponent(segment);
+      }
+    });
+    return { params, aliases };
+  }
+
+  isDestructiveEndpoint(endpoint) {
+    if (endpoint.destructive || endpoint.method === 'DELETE') return true;
+
+    // Live-spec entries use the robot's own parameter names, so compare templates loosely
+    const normalize = apiPath => apiPath.replace(/\{[^}]+\}/g, '{}');
+    return this.endpoints.some(e =>
+      e.destructive && e.method === endpoint.method && normalize(e.path) === normalize(endpoint.path)
+    );
+  }
+
+  // Loose type check against a catalog schema; values bound for the URL may arrive as strings
+  checkValueType(value, schema = {}, inUrl = false) {
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `must be one of: ${schema.enum.join(', ')}`;
+    }
+
+    const numeric = typeof value === 'number' ||
+      (inUrl && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+
+    switch (schema.type) {
+      case 'integer':
+        return numeric && Number.isInteger(Number(value)) ? null : 'must be an integer';
+      case 'number':
+        return numeric ? null : 'must be a number';
+      case 'boolean':
+        return typeof value === 'boolean' || (inUrl && ['true', 'false'].includes(value)) ? null : 'must be a boolean';
+      case 'string':
+        return typeof value === 'string' || (inUrl && ['number', 'boolean'].includes(typeof value)) ? null : 'must be a string';
+      case 'array':
+        return Array.isArray(value) ? null : 'must be an array';
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+      default:
+        return null;
+    }
+  }
+
+  async callEndpoint(args) {
+    const { method, path: requestPath, path_params = {}, query = {}, body, confirm = false } = args;
+    const upperMethod = method.toUpperCase();
+
     try {
-      const body = { on };
-      
-      const data = await this.makeApiRequest(
-        'POST',
-        `http://${robot_ip}:31950/robot/lights`,
-        { 'Content-Type': 'application/json' },
-        JSON.stringify(body)
-      );
-      
+      const robot = this.resolveRobot(args);
+      const catalog = await this.getEndpointCatalog(robot);
+      let endpoint = null;
+      let matched = null;
+
+      for (const candidate of catalog.endpoints) {
+        if (candidate.method !== upperMethod) continue;
+        const result = this.matchPathTemplate(candidate.path, requestPath);
+        // Prefer literal routes like /runs/current over a templated /runs/{run_id}
+        if (result && (!matched || Object.keys(result.params).length < Object.keys(matched.params).length)) {
+          endpoint = candidate;
+          matched = result;
+        }
+      }
+
+      if (!endpoint) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ **Unknown endpoint**: ${upperMethod} ${requestPath} is not in the ${catalog.source}.\n\nUse \`search_endpoints\` to find the right path and method.`
+          }]
+        };
+      }
+
+      const problems = [];
+      const warnings = [];
+      const parameters = endpoint.parameters || [];
+      const pathValues = { ...matched.params };
+      Object.entries(path_params).forEach(([name, value]) => {
+        pathValues[matched.aliases[name] || name] = value;
+      });
+
+      const templateNames = [...endpoint.path.matchAll(/\{([^}]+)\}/g)].map(m => m[1]);
+      templateNames.forEach(name => {
+        if (pathValues[name] === undefined || pathValues[name] === '') {
+          problems.push(`Missing path parameter \`${name}\``);
+        }
+      });
+      Object.keys(path_params).forEach(name => {
+        if (!templateNames.includes(matched.aliases[name] || name)) {
+          problems.push(`Unknown path parameter \`${name}\` - ${endpoint.path} takes ${templateNames.length > 0 ? templateNames.map(n => `\`${n}\``).join(', ') : 'none'}`);
+        }
+      });
+
+      const queryParams = parameters.filter(p => p.in === 'query');
+      queryParams.forEach(param => {
+        if (param.required && query[param.name] === undefined) {
+          problems.push(`Missing required query parameter \`${param.name}\``);
+        }
+      });
+      Object.entries(query).forEach(([name, value]) => {
+        const param = queryParams.find(p => p.name === name);
+        if (!param) {
+          warnings.push(`Query parameter \`${name}\` is not documented for this endpoint`);
+          return;
+        }
+        const values = Array.isArray(value) && param.schema?.type !== 'array' ? value : [value];
+        values.forEach(v => {
+          const typeError = this.checkValueType(v, param.schema, true);
+          if (typeError) problems.push(`Query parameter \`${name}\` ${typeError}`);
+        });
+      });
+
+      parameters.filter(p => p.in === 'path').forEach(param => {
+        const value = pathValues[param.name];
+        if (value === undefined) return;
+        const typeError = this.checkValueType(value, param.schema, true);
+        if (typeError) problems.push(`Path parameter \`${param.name}\` ${typeError}`);
+      });
+
+      const requestBody = endpoint.requestBody;
+      if (requestBody) {
+        if (requestBody.contentType?.includes('multipart') || /multipart/i.test(requestBody.description || '')) {
+          problems.push(`This endpoint takes a multipart file upload, which call_endpoint can't send - use a dedicated tool such as \`upload_protocol\``);
+        } else if (requestBody.required && body === undefined) {
+          problems.push(`Missing required request body`);
+        } else if (body !== undefined && requestBody.properties && body && typeof body === 'object' && !Array.isArray(body)) {
+          Object.entries(body).forEach(([key, value]) => {
+            const prop = requestBody.properties[key];
+            if (!prop) {
+              problems.push(`Unknown body field \`${key}\` - expected ${Object.keys(requestBody.properties).map(k => `\`${k}\``).join(', ')}`);
+              return;
+            }
+            const typeError = this.checkValueType(value, prop);
+            if (typeError) problems.push(`Body field \`${key}\` ${typeError}`);
+          });
+        }
+      } else if (body !== undefined) {
+        warnings.push(`No request body is documented for this endpoint`);
+      }
+
+      if (problems.length > 0) {
+        return {
+          content: [{
+            type: "text",
+            text: `❌ **Request does not match ${endpoint.method} ${endpoint.path}**\n\n${problems.map(p => `- ${p}`).join('\n')}\n\n` +
+                  `Use \`get_endpoint_details\` with method "${endpoint.method}" and path "${endpoint.path}" to see what it accepts.`
+          }]
+        };
+      }
+
+      if (this.isDestructiveEndpoint(endpoint) && confirm !== true) {
+        return {
+          content: [{
+            type: "text",
+            text: `🛑 **Confirmation required**: ${endpoint.method} ${endpoint.path} is destructive (${endpoint.summary}).\n\nCall again with \`confirm: true\` to proceed.`
+          }]
+        };
+      }
+
+      const resolvedPath = endpoint.path.replace(/\{([^}]+)\}/g, (match, name) => encodeURIComponent(pathValues[name]));
+      const searchParams = new URLSearchParams();
+      Object.entries(query).forEach(([name, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(v => searchParams.append(name, String(v)));
+      });
+      const queryString = searchParams.toString();
+      const url = `${robot.baseUrl}${resolvedPath}${queryString ? `?${queryString}` : ''}`;
+
+      const data = body !== undefined
+        ? await this.makeApiRequest(endpoint.method, url, { 'Content-Type': 'application/json' }, JSON.stringify(body))
+        : await this.makeApiRequest(endpoint.method, url);
+
+      let resultText = `✅ **${endpoint.method} ${resolvedPath}${queryString ? `?${queryString}` : ''}** succeeded\n\n`;
+      if (endpoint.deprecated) {
+        resultText += `⚠️ This endpoint is deprecated\n\n`;
+      }
+      if (warnings.length > 0) {
+        resultText += `**Warnings:**\n${warnings.map(w => `- ${w}`).join('\n')}\n\n`;
+      }
+      resultText += `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+
+      return {
+        content: [{
+          type: "text",
+          text: resultText
+        }]
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: `❌ Failed to call ${upperMethod} ${requestPath}: ${error.message}`
+        }]
+      };
+    }
+  }
+
+  // Error reports can come from a URL or a local file; JSON is pretty-printed, anything else is kept as text
+  async loadErrorReport(source) {
+    let text;
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source, { signal: AbortSignal.timeout(15000) });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${source}: ${response.status} ${response.statusText}`);
+      }
+      text = await response.text();
+    } else {
+      if (!fs.existsSync(source)) {
+        throw new Error(`Error report not found: ${source}`);
+      }
+      text = fs.readFileSync(source, 'utf8');
+    }
+
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (parseError) {
+      return text;
+    }
+  }
+
+  // The run to diagnose: the one asked for, else the robot's current run, else the most recent
+  async findDiagnosisRun(robot, runId) {
+    if (runId) {
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${runId}`);
+      return runData.data;
+    }
+
+    const runsData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs`);
+    const runs = runsData.data || [];
+    const summary = runs.find(run => run.current) || runs[runs.length - 1];
+    if (!summary) return null;
+
+    const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${summary.id}`);
+    return runData.data;
+  }
+
+  buildRunErrorReport(run, commands) {
+    const succeeded = commands.filter(c => c.status === 'succeeded');
+    const lastSucceeded = succeeded[succeeded.length - 1];
+    return {
+      runId: run.id,
+      protocolId: run.protocolId || null,
+      status: run.status,
+      createdAt: run.createdAt,
+      startedAt: run.startedAt || null,
+      completedAt: run.completedAt || null,
+      errors: run.errors || [],
+      failedCommands: commands
+        .filter(c => c.status === 'failed')
+        .map(c => ({ index: c.index, commandType: c.commandType, intent: c.intent, params: c.params, error: c.error })),
+      lastSucceededCommand: lastSucceeded
+        ? { index: lastSucceeded.index, commandType: lastSucceeded.commandType, params: lastSucceeded.params }
+        : null,
+      completedCommands: succeeded.length,
+      totalCommands: commands.length
+    };
+  }
+
+  async diagnoseAndStop(args) {
+    const {
+      run_id,
+      error_source = 'run',
+      protocol_path,
+      protocol_id,
+      stop = true,
+      generate_fix = true,
+      validate_fix = true,
+      max_repair_attempts = 2,
+      analysis_timeout = 120,
+      output_path
+    } = args;
+
+    try {
+      const robot = this.resolveRobot(args);
+      const run = await this.findDiagnosisRun(robot, run_id);
+      if (!run) {
+        throw new Error(`No runs found on ${robot.name}`);
+      }
+
+      const { commands } = await this.fetchRunCommands(robot, run.id);
+      const runReport = this.buildRunErrorReport(run, commands);
+      const errorText = error_source === 'run'
+        ? JSON.stringify(runReport, null, 2)
+        : await this.loadErrorReport(error_source);
+
+      let stopStatus = `ℹ️ Run was not active (${run.status}), nothing to stop`;
+      if (['running', 'paused', 'awaiting-recovery', 'blocked-by-open-door'].includes(run.status)) {
+        if (!stop) {
+          stopStatus = `⚠️ Run is still ${run.status} (stop was not requested)`;
+        } else {
+          try {
+            await this.postRunAction(robot, run.id, 'stop');
+            stopStatus = `✅ Run stopped (${run.status} → stop requested)`;
+          } catch (stopError) {
+            stopStatus = `❌ Stop failed: ${stopError.message}`;
+          }
+        }
+      }
+
+      const protocolRef = protocol_id || run.protocolId;
+      let protocolName = protocolRef || 'Unknown';
+      if (protocolRef) {
+        try {
+          const protocolData = await this.makeApiRequest('GET', `${robot.baseUrl}/protocols/${protocolRef}`);
+          protocolName = protocolData.data.metadata?.protocolName || protocolData.data.files?.[0]?.name || protocolRef;
+        } catch (protocolError) {
+          protocolName = `${protocolRef} (not found on robot)`;
+        }
+      }
+
+      const labwareById = Object.fromEntries((run.labware || []).map(l => [l.id, l]));
+      const pipettesById = Object.fromEntries((run.pipettes || []).map(p => [p.id, p]));
+
+      let diagnosisText = `# Diagnosis: Run ${run.id}\n\n`;
+      diagnosisText += `**Robot:** ${robot.name} (${robot.host})\n`;
+      diagnosisText += `**Protocol:** ${protocolName}\n`;
+      diagnosisText += `**Status:** ${run.status}\n`;
+      diagnosisText += `**Completed Steps:** ${runReport.completedCommands}/${runReport.totalCommands}\n`;
+      diagnosisText += `**Error Source:** ${error_source === 'run' ? 'run errors and commands' : error_source}\n\n`;
+      diagnosisText += `${stopStatus}\n\n`;
+
+      if (runReport.failedCommands.length > 0) {
+        diagnosisText += `## Failed Commands\n\n`;
+        commands.filter(c => c.status === 'failed').forEach(command => {
+          diagnosisText += `- [${command.index}] ${this.describeCommand(command, labwareById, pipettesById)}\n`;
+          if (command.error) {
+            diagnosisText += this.formatCommandError(command.error, 1);
+          }
+        });
+        diagnosisText += '\n';
+      } else if (runReport.errors.length === 0) {
+        diagnosisText += `No errors recorded on the run.\n\n`;
+      }
+
+      const reportLanguage = /^[[{]/.test(errorText.trim()) ? 'json' : '';
+      diagnosisText += `## Error Report\n\n\`\`\`${reportLanguage}\n${errorText.trim()}\n\`\`\`\n\n`;
+
+      if (generate_fix && !protocol_path) {
+        diagnosisText += `Pass \`protocol_path\` with the protocol source to generate a fixed version.\n`;
+      } else if (generate_fix) {
+        try {
+          const originalProtocol = fs.readFileSync(protocol_path, 'utf8');
+          const fix = await this.generateValidatedFix(robot, {
+            errorText,
+            originalProtocol,
+            fileName: `${path.parse(protocol_path).name}.py`,
+            originalName: path.basename(protocol_path),
+            lastCompletedStep: runReport.completedCommands,
+            runId: run.id,
+            validate: validate_fix,
+            maxRepairAttempts: max_repair_attempts,
+            analysisTimeoutMs: analysis_timeout * 1000
+          });
+
+          diagnosisText += `## 🔧 Fixed Protocol\n\n`;
+          diagnosisText += this.formatFixResult(fix, analysis_timeout * 1000, output_path);
+        } catch (fixError) {
+          diagnosisText += `⚠️ Could not generate a fixed protocol: ${fixError.message}\n`;
+        }
+      }
+
       return {
         content: [
           {
             type: "text",
-            text: `✅ Lights turned ${on ? 'ON' : 'OFF'} successfully!`
+            text: diagnosisText
           }
         ]
       };
@@ -2005,42 +8336,210 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to control lights: ${error.message}`
+            text: `❌ Failed to diagnose run: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async homeRobot(args) {
-    const { robot_ip, target = "robot", mount } = args;
-    
+  pipetteChannels(pipetteName = '') {
+    if (/96channel|_96/.test(pipetteName)) return 96;
+    if (/multi|8channel/.test(pipetteName)) return 8;
+    return 1;
+  }
+
+  // The tip a pipette would pick up after wellName in a standard 8 x 12 rack, or null when the rack is used up
+  nextTipWell(wellName, channels) {
+    const match = /^([A-H])(\d+)$/.exec(wellName || '');
+    if (!match || channels === 96) return null;
+
+    const row = match[1].charCodeAt(0) - 65;
+    const column = Number(match[2]);
+    if (channels === 8 || row === 7) {
+      return column < 12 ? `A${column + 1}` : null;
+    }
+    return `${String.fromCharCode(66 + row)}${column}`;
+  }
+
+  // Replay a run's succeeded commands to work out which tips were used and how much liquid moved where
+  summarizeRunProgress(run, commands) {
+    const pipettes = {};
+    (run.pipettes || []).forEach(p => {
+      pipettes[p.id] = { name: p.pipetteName, mount: p.mount, channels: this.pipetteChannels(p.pipetteName), tipsUsed: [], hasTip: false };
+    });
+    const pipetteState = id => {
+      if (!pipettes[id]) pipettes[id] = { name: id, mount: 'unknown', channels: 1, tipsUsed: [], hasTip: false };
+      return pipettes[id];
+    };
+
+    const wells = new Map();
+    const lastLocation = {};
+    const moveLiquid = (pipetteId, location, volume) => {
+      if (!location?.labwareId || !location.wellName) return;
+      const key = `${location.labwareId}:${location.wellName}`;
+      if (!wells.has(key)) {
+        wells.set(key, { labwareId: location.labwareId, wellName: location.wellName, channels: pipetteState(pipetteId).channels, volume: 0 });
+      }
+      wells.get(key).volume += volume;
+    };
+
+    // Recovery (fixit) commands pick up and drop tips too, so they count for robot state but not as protocol steps
+    const steps = commands.filter(c => c.intent !== 'fixit');
+    const succeeded = steps.filter(c => c.status === 'succeeded');
+    commands.filter(c => c.status === 'succeeded').forEach(command => {
+      const params = command.params || {};
+      const pipetteId = params.pipetteId;
+      if (params.labwareId && params.wellName && pipetteId) {
+        lastLocation[pipetteId] = { labwareId: params.labwareId, wellName: params.wellName };
+      }
+
+      switch (command.commandType) {
+        case 'pickUpTip':
+          pipetteState(pipetteId).tipsUsed.push({ labwareId: params.labwareId, wellName: params.wellName });
+          pipetteState(pipetteId).hasTip = true;
+          break;
+        case 'dropTip':
+        case 'dropTipInPlace':
+          pipetteState(pipetteId).hasTip = false;
+          break;
+        case 'aspirate':
+        case 'aspirateInPlace':
+          moveLiquid(pipetteId, lastLocation[pipetteId], -(params.volume || 0));
+          break;
+        case 'dispense':
+        case 'dispenseInPlace':
+          moveLiquid(pipetteId, lastLocation[pipetteId], params.volume || 0);
+          break;
+      }
+    });
+
+    Object.values(pipettes).forEach(pipette => {
+      const lastTip = pipette.tipsUsed[pipette.tipsUsed.length - 1];
+      pipette.nextTip = lastTip ? { labwareId: lastTip.labwareId, wellName: this.nextTipWell(lastTip.wellName, pipette.channels) } : null;
+    });
+
+    return {
+      pipettes,
+      wells: [...wells.values()].filter(well => well.volume !== 0),
+      completed: succeeded.length,
+      total: steps.length,
+      lastSucceeded: succeeded[succeeded.length - 1] || null,
+      failedCommand: [...commands].reverse().find(c => c.status === 'failed' && c.intent !== 'fixit') || null
+    };
+  }
+
+  formatRunProgress(run, progress) {
+    const labwareById = Object.fromEntries((run.labware || []).map(l => [l.id, l]));
+    const pipettesById = Object.fromEntries((run.pipettes || []).map(p => [p.id, p]));
+    const modulesById = Object.fromEntries((run.modules || []).map(m => [m.id, m]));
+    const labwareLabel = id => {
+      const labware = labwareById[id];
+      if (!labware) return id;
+      const location = this.formatLocation(labware.location, labwareById, modulesById);
+      return labware.displayName && labware.displayName !== labware.loadName
+        ? `${labware.displayName} (${labware.loadName}, ${location})`
+        : `${labware.loadName} (${location})`;
+    };
+
+    let progressText = `**Completed Commands:** ${progress.completed} of ${progress.total}\n`;
+    if (progress.lastSucceeded) {
+      progressText += `**Last Completed:** [${progress.lastSucceeded.index}] ${this.describeCommand(progress.lastSucceeded, labwareById, pipettesById)}\n`;
+    }
+    if (progress.failedCommand) {
+      const error = progress.failedCommand.error;
+      progressText += `**Stopped At:** [${progress.failedCommand.index}] ${this.describeCommand(progress.failedCommand, labwareById, pipettesById)}`;
+      progressText += error ? ` - ${error.errorType || 'Error'}: ${error.detail || 'No detail'}\n` : '\n';
+    }
+
+    progressText += `\n### Tips\n\n`;
+    const pipetteEntries = Object.values(progress.pipettes);
+    if (pipetteEntries.length === 0) {
+      progressText += `No pipettes loaded\n`;
+    }
+    pipetteEntries.forEach(pipette => {
+      progressText += `- **${pipette.name}** (${pipette.mount} mount): ${pipette.tipsUsed.length} pick-up${pipette.tipsUsed.length !== 1 ? 's' : ''}`;
+      if (pipette.tipsUsed.length > 0) {
+        const byRack = {};
+        pipette.tipsUsed.forEach(tip => {
+          (byRack[tip.labwareId] = byRack[tip.labwareId] || []).push(tip.wellName);
+        });
+        progressText += ` (${Object.entries(byRack).map(([rack, tipWells]) => `${labwareLabel(rack)}: ${tipWells.join(', ')}`).join('; ')})`;
+      }
+      progressText += '\n';
+      if (pipette.nextTip) {
+        progressText += pipette.nextTip.wellName
+          ? `  - starting_tip: ${pipette.nextTip.wellName} of ${labwareLabel(pipette.nextTip.labwareId)}\n`
+          : `  - starting_tip: A1 of the next tip rack (${labwareLabel(pipette.nextTip.labwareId)} is used up)\n`;
+      }
+      if (pipette.hasTip) {
+        progressText += `  - ⚠️ Was holding a tip when the run stopped; make sure it is dropped before continuing\n`;
+      }
+    });
+
+    progressText += `\n### Liquid Moved\n\n`;
+    if (progress.wells.length === 0) {
+      progressText += `No liquid was moved\n`;
+    } else {
+      const byLabware = {};
+      progress.wells.forEach(well => {
+        (byLabware[well.labwareId] = byLabware[well.labwareId] || []).push(well);
+      });
+      Object.entries(byLabware).forEach(([labwareId, labwareWells]) => {
+        progressText += `- **${labwareLabel(labwareId)}**: `;
+        progressText += labwareWells
+          .map(well => `${well.wellName}${well.channels > 1 ? ` (${well.channels}-channel)` : ''} ${well.volume > 0 ? '+' : ''}${Math.round(well.volume * 100) / 100} µL`)
+          .join(', ');
+        progressText += '\n';
+      });
+      progressText += `\nNegative volumes were drawn from a well, positive ones added. Multi-channel entries apply to every well the nozzles covered.\n`;
+    }
+
+    return progressText;
+  }
+
+  async generateContinuationProtocol(args) {
+    const { run_id, protocol_path, output_path, validate = true, max_repair_attempts = 2, analysis_timeout = 120 } = args;
+
     try {
-      const body = { target };
-      
-      if (target === "pipette" && mount) {
-        body.mount = mount;
+      const robot = this.resolveRobot(args);
+      const runData = await this.makeApiRequest('GET', `${robot.baseUrl}/runs/${run_id}`);
+      const run = runData.data;
+      const { commands } = await this.fetchRunCommands(robot, run_id);
+      const progress = this.summarizeRunProgress(run, commands);
+      const progressText = this.formatRunProgress(run, progress);
+
+      let continuationText = `# Continuation for Run ${run.id}\n\n`;
+      continuationText += `**Status:** ${run.status}\n`;
+      if (['running', 'paused', 'awaiting-recovery', 'finishing'].includes(run.status)) {
+        continuationText += `⚠️ The run is still active, so this progress may already be out of date. Stop it first (e.g. with \`diagnose_and_stop\`).\n`;
       }
-      
-      const data = await this.makeApiRequest(
-        'POST',
-        `http://${robot_ip}:31950/robot/home`,
-        { 'Content-Type': 'application/json' },
-        JSON.stringify(body)
-      );
-      
-      let message = `✅ `;
-      if (target === "robot") {
-        message += `Robot homed successfully! All axes are at their home positions.`;
+      continuationText += `\n## Run Progress\n\n${progressText}\n`;
+
+      if (!protocol_path) {
+        continuationText += `Pass \`protocol_path\` with the original protocol source to generate a continuation protocol.\n`;
       } else {
-        message += `Pipette on ${mount} mount homed successfully!`;
+        const originalProtocol = fs.readFileSync(protocol_path, 'utf8');
+        const config = this.getLlmConfig();
+        const fix = await this.generateValidatedFix(robot, {
+          prompt: this.buildContinuationPrompt(config, progressText, originalProtocol),
+          originalProtocol,
+          fileName: `${path.parse(protocol_path).name}_continued.py`,
+          originalName: path.basename(protocol_path),
+          validate,
+          maxRepairAttempts: max_repair_attempts,
+          analysisTimeoutMs: analysis_timeout * 1000
+        });
+
+        continuationText += `## 🔁 Continuation Protocol\n\n`;
+        continuationText += this.formatFixResult(fix, analysis_timeout * 1000, output_path);
       }
-      
+
       return {
         content: [
           {
             type: "text",
-            text: message
+            text: continuationText
           }
         ]
       };
@@ -2049,133 +8548,89 @@ class OpentronsMCP {
         content: [
           {
             type: "text",
-            text: `❌ Failed to home robot: ${error.message}`
+            text: `❌ Failed to generate continuation protocol: ${error.message}`
           }
         ]
       };
     }
   }
 
-  async pollErrorEndpointAndFix(args) {
-    const { json_filename = "error.json", original_protocol_path = "/Users/gene/Developer/failed-protocol-5.py" } = args;
-    
-    try {
-      const axios = (await import('axios')).default;
-      const baseUrl = 'http://192.168.0.145:8080';
-      const jsonUrl = `${baseUrl}/${json_filename}`;
-      
-      console.error(`🔍 Fetching JSON error report: ${jsonUrl}`);
-      
-      // Fetch the specific JSON file
-      const response = await fetch(jsonUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${json_filename}: ${response.status} ${response.statusText}`);
-      }
-      
-      let errorText = await response.text();
-      
-      // Validate and pretty-print JSON
-      try {
-        const parsed = JSON.parse(errorText);
-        errorText = JSON.stringify(parsed, null, 2);
-        console.error(`✅ Successfully fetched and parsed ${json_filename}`);
-      } catch (parseError) {
-        throw new Error(`Invalid JSON in ${json_filename}: ${parseError.message}`);
-      }
-      
-      // Get current run info and stop it
-      const robotIp = "192.168.0.83";
-      let stopStatus = "⚠️ No running protocol found";
-      let currentRunId = null;
-      let lastCompletedStep = null;
-      
+  // Model settings come from ~/.opentrons-mcp/llm.json (OPENTRONS_LLM_CONFIG overrides the path), with
+  // OPENTRONS_LLM_* environment variables taking precedence, e.g.
+  //   { "provider": "openai", "base_url": "http://localhost:11434/v1", "model": "llama3.1",
+  //     "max_tokens": 4000, "prompt_template": "fix-prompt.txt", "examples": ["examples/bca.py"] }
+  getLlmConfigFile() {
+    return process.env.OPENTRONS_LLM_CONFIG || path.join(os.homedir(), '.opentrons-mcp', 'llm.json');
+  }
+
+  getLlmConfig() {
+    const configFile = this.getLlmConfigFile();
+    let fileConfig = {};
+    if (fs.existsSync(configFile)) {
       try {
-        const runsResponse = await axios.get(`http://${robotIp}:31950/runs`);
-        const activeRun = runsResponse.data.data.find(run => 
-          run.status === "running" || run.status === "paused"
-        );
-        
-        if (activeRun) {
-          currentRunId = activeRun.id;
-          
-          // Get detailed run info including protocol name and current status
-          const runDetailResponse = await axios.get(`http://${robotIp}:31950/runs/${currentRunId}`);
-          const runDetail = runDetailResponse.data.data;
-          
-          const protocolName = runDetail.protocolId || 'Unknown Protocol';
-          const currentStatus = runDetail.status;
-          const currentCommand = runDetail.current ? runDetail.current.command : 'None';
-          
-          if (runDetail.commands) {
-            const completedCommands = runDetail.commands.filter(cmd => cmd.status === "succeeded");
-            const failedCommands = runDetail.commands.filter(cmd => cmd.status === "failed");
-            lastCompletedStep = completedCommands.length;
-            
-            console.log(`Protocol: ${protocolName}, Status: ${currentStatus}, Step: ${lastCompletedStep}`);
-          }
-          
-          // Stop the run
-          await axios.post(`http://${robotIp}:31950/runs/${currentRunId}/actions`, {
-            data: { actionType: "stop" }
-          });
-          
-          stopStatus = `✅ Robot stopped
-Protocol: ${protocolName}
-Run ID: ${currentRunId}
-Status: ${currentStatus} → stopped
-Completed steps: ${lastCompletedStep || 0}
-Current command: ${currentCommand}
-Failed commands: ${failedCommands?.length || 0}`;
-        }
-      } catch (stopError) {
-        stopStatus = `❌ Stop failed: ${stopError.message}`;
+        fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read LLM config ${configFile}: ${error.message}`);
       }
-      
-      // Read original protocol and generate fix
-      const originalProtocol = fs.readFileSync(original_protocol_path, 'utf8');
-      const fixedProtocol = await this.generateFixedProtocol(errorText, originalProtocol, lastCompletedStep, currentRunId);
-      
-      return {
-        content: [{
-          type: "text",
-          text: `🚨 **JSON ERROR REPORT**: ${json_filename}\n\n📄 **CONTENT**:\n${errorText}\n\n${stopStatus}\n\n🔧 **FIXED PROTOCOL**:\n\n\`\`\`python\n${fixedProtocol}\n\`\`\``
-        }]
-      };
-      
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `❌ **Failed to fetch error report**: ${error.message}`
-        }]
-      };
     }
-  }
 
-  parseDirectoryListing(html) {
-    // Simple regex to extract filenames from directory listing HTML
-    const linkRegex = /<a[^>]+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi;
-    const files = [];
-    let match;
-    
-    while ((match = linkRegex.exec(html)) !== null) {
-      const filename = match[1];
-      // Skip parent directory links and directories
-      if (filename !== '../' && !filename.endsWith('/') && filename !== '..' && filename !== '.') {
-        files.push(filename);
-      }
+    // Files named in the config file are relative to it; files from the environment to the working directory
+    const fromFile = file => path.resolve(path.dirname(configFile), file);
+    const env = process.env;
+    const provider = env.OPENTRONS_LLM_PROVIDER || fileConfig.provider || 'anthropic';
+    if (!['anthropic', 'openai'].includes(provider)) {
+      throw new Error(`Unknown LLM provider "${provider}" - use "anthropic" or "openai" (any OpenAI-compatible server)`);
     }
-    
-    return files;
+
+    const defaults = {
+      anthropic: { base_url: 'https://api.anthropic.com', model: 'claude-3-5-sonnet-20241022', api_key: env.ANTHROPIC_API_KEY },
+      openai: { base_url: 'https://api.openai.com/v1', model: 'gpt-4o', api_key: env.OPENAI_API_KEY }
+    }[provider];
+
+    const examples = env.OPENTRONS_LLM_EXAMPLES
+      ? env.OPENTRONS_LLM_EXAMPLES.split(path.delimiter).filter(Boolean).map(file => path.resolve(file))
+      : (fileConfig.examples || []).map(fromFile);
+
+    return {
+      provider,
+      baseUrl: (env.OPENTRONS_LLM_URL || fileConfig.base_url || defaults.base_url).replace(/\/+$/, ''),
+      model: env.OPENTRONS_LLM_MODEL || fileConfig.model || defaults.model,
+      apiKey: env.OPENTRONS_LLM_API_KEY || fileConfig.api_key || defaults.api_key || null,
+      maxTokens: Number(env.OPENTRONS_LLM_MAX_TOKENS || fileConfig.max_tokens || 2000),
+      timeoutMs: Number(env.OPENTRONS_LLM_TIMEOUT_MS || fileConfig.timeout_ms || 120000),
+      promptTemplate: env.OPENTRONS_LLM_PROMPT_TEMPLATE
+        ? path.resolve(env.OPENTRONS_LLM_PROMPT_TEMPLATE)
+        : fileConfig.prompt_template ? fromFile(fileConfig.prompt_template) : null,
+      continuationPromptTemplate: env.OPENTRONS_LLM_CONTINUATION_TEMPLATE
+        ? path.resolve(env.OPENTRONS_LLM_CONTINUATION_TEMPLATE)
+        : fileConfig.continuation_prompt_template ? fromFile(fileConfig.continuation_prompt_template) : null,
+      examples
+    };
   }
 
-  async generateFixedProtocol(errorText, originalProtocol, lastCompletedStep = null, currentRunId = null) {
-    const anthropicKey = process.env.ANTHROPIC_API_KEY;
-    if (!anthropicKey) {
-      throw new Error("ANTHROPIC_API_KEY not configured");
-    }
-    
-    const workingExample = `from opentrons import protocol_api
+  defaultFixPromptTemplate() {
+    return `Fix this Opentrons Flex protocol that failed with this error:
+
+ERROR: {{error}}
+
+ORIGINAL FAILED PROTOCOL:
+{{original_protocol}}
+
+{{examples}}{{run_context}}
+
+Generate a FIXED version of the original protocol that:
+1. Fixes the specific error mentioned
+2. Uses proper Flex deck positions (A1, B1, C1, D1, etc.)
+3. Uses proper Flex pipettes and labware
+4. Follows the working pattern from the reference
+5. Maintains the same general purpose as the original
+6. {{resume_instruction}}
+
+Return ONLY the fixed Python code, no explanations or markdown.`;
+  }
+
+  defaultFixExample() {
+    return `from opentrons import protocol_api
 
 metadata = {
     'protocolName': 'Pierce BCA Protein Assay Kit Aliquoting',
@@ -2228,60 +8683,363 @@ def run(protocol: protocol_api.ProtocolContext):
     )
     
     protocol.comment("Protocol completed successfully")`;
+  }
+
+  // Fill {{name}} placeholders; unknown placeholders are left as they are
+  renderPromptTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+  }
+
+  renderPromptExamples(config) {
+    return config.examples.length > 0
+      ? config.examples.map(file => `REFERENCE PROTOCOL (${path.basename(file)}):\n${fs.readFileSync(file, 'utf8')}`).join('\n\n')
+      : `WORKING REFERENCE PROTOCOL:\n${this.defaultFixExample()}`;
+  }
+
+  buildFixPrompt(config, errorText, originalProtocol, lastCompletedStep = null, currentRunId = null) {
+    const template = config.promptTemplate
+      ? fs.readFileSync(config.promptTemplate, 'utf8')
+      : this.defaultFixPromptTemplate();
 
-    let contextInfo = "";
+    const examples = this.renderPromptExamples(config);
+
+    let runContext = '';
     if (lastCompletedStep !== null && currentRunId !== null) {
-      contextInfo = `\n\nRUN CONTEXT:
+      runContext = `\n\nRUN CONTEXT:
 - Run ID: ${currentRunId}
 - Successfully completed steps: ${lastCompletedStep}
 - The protocol should resume from or be modified to account for this point`;
     }
 
-    const prompt = `Fix this Opentrons Flex protocol that failed with this error:
+    return this.renderPromptTemplate(template, {
+      error: errorText,
+      original_protocol: originalProtocol,
+      examples,
+      run_context: runContext,
+      resume_instruction: lastCompletedStep !== null
+        ? `Accounts for the fact that ${lastCompletedStep} steps were already completed successfully`
+        : 'Starts from the beginning'
+    });
+  }
 
-ERROR: ${errorText}
+  defaultContinuationPromptTemplate() {
+    return `Write a CONTINUATION of this Opentrons protocol. Its run stopped partway through, and the work below is already done on the deck:
 
-ORIGINAL FAILED PROTOCOL:
-${originalProtocol}
+{{progress}}
 
-WORKING REFERENCE PROTOCOL:
-${workingExample}${contextInfo}
+ORIGINAL PROTOCOL:
+{{original_protocol}}
 
-Generate a FIXED version of the original protocol that:
-1. Fixes the specific error mentioned
-2. Uses proper Flex deck positions (A1, B1, C1, D1, etc.)
-3. Uses proper Flex pipettes and labware
-4. Follows the working pattern from the reference
-5. Maintains the same general purpose as the original
-6. ${lastCompletedStep !== null ? `Accounts for the fact that ${lastCompletedStep} steps were already completed successfully` : 'Starts from the beginning'}
+{{examples}}
 
-Return ONLY the fixed Python code, no explanations or markdown.`;
+The continuation protocol must:
+1. Load the same labware, pipettes, modules and trash in the same locations
+2. Set each pipette's starting_tip to the tip listed above, so used tips are not picked up again
+3. Skip every transfer that already completed and start with the step that was running when the run stopped
+4. Adjust load_liquid volumes to the liquid state above (what was drawn from sources and added to destinations)
+5. Keep the same requirements and metadata, with " (continued)" added to protocolName
 
-    try {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "x-api-key": anthropicKey,
-          "Content-Type": "application/json",
-          "anthropic-version": "2023-06-01"
-        },
-        body: JSON.stringify({
-          model: "claude-3-5-sonnet-20241022",
-          max_tokens: 2000,
-          messages: [{ role: "user", content: prompt }]
-        })
+Return ONLY the Python code, no explanations or markdown.`;
+  }
+
+  buildContinuationPrompt(config, progressText, originalProtocol) {
+    const template = config.continuationPromptTemplate
+      ? fs.readFileSync(config.continuationPromptTemplate, 'utf8')
+      : this.defaultContinuationPromptTemplate();
+
+    return this.renderPromptTemplate(template, {
+      progress: progressText,
+      original_protocol: originalProtocol,
+      examples: this.renderPromptExamples(config)
+    });
+  }
+
+  async completeWithAnthropic(config, prompt) {
+    if (!config.apiKey) {
+      throw new Error('No API key configured - set ANTHROPIC_API_KEY or OPENTRONS_LLM_API_KEY');
+    }
+
+    const response = await fetch(`${config.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': config.apiKey,
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API error ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    return (result.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+
+  // Works with OpenAI and with local servers that speak its chat completions API (Ollama, vLLM, llama.cpp)
+  async completeWithOpenAI(config, prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: [{ role: 'user', content: prompt }]
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM API error ${response.status}: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    return result.choices?.[0]?.message?.content || '';
+  }
+
+  async completePrompt(prompt, config = this.getLlmConfig()) {
+    const providers = {
+      anthropic: (c, p) => this.completeWithAnthropic(c, p),
+      openai: (c, p) => this.completeWithOpenAI(c, p)
+    };
+
+    const text = await providers[config.provider](config, prompt);
+    if (!text.trim()) {
+      throw new Error(`${config.provider} model ${config.model} returned an empty response`);
+    }
+    return text;
+  }
+
+  // Model replies often wrap the code in markdown; keep the first fenced block if there is one
+  cleanProtocolSource(text) {
+    const fenced = text.match(/```[\w-]*[ \t]*\n([\s\S]*?)```/);
+    return `${(fenced ? fenced[1] : text).trim()}\n`;
+  }
+
+  // Problems make a protocol invalid; notes don't. Since apiLevel 2.15 metadata is optional when requirements carries apiLevel.
+  checkProtocolStructure(source) {
+    const problems = [];
+    const notes = [];
+    if (!/^metadata\s*=/m.test(source)) {
+      notes.push('No top-level `metadata` dict, so the protocol shows up under its file name');
+    }
+    if (!/^requirements\s*=/m.test(source) && !/["']apiLevel["']\s*:/.test(source)) {
+      problems.push('No top-level `requirements` dict with robotType and apiLevel');
+    }
+    if (!/^def run\s*\(/m.test(source)) {
+      problems.push('No top-level `def run(protocol)` function');
+    }
+    return { problems, notes };
+  }
+
+  // Line diff in unified format; a plain LCS table is fine at protocol sizes
+  unifiedDiff(oldText, newText, oldName = 'original', newName = 'fixed', context = 3) {
+    const a = oldText.replace(/\n$/, '').split('\n');
+    const b = newText.replace(/\n$/, '').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i], oldLine: i++, newLine: j++ });
+      } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', line: a[i], oldLine: i++, newLine: j });
+      } else {
+        ops.push({ type: '+', line: b[j], oldLine: i, newLine: j++ });
+      }
+    }
+
+    const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows overlap into hunks
+    const hunks = [];
+    changed.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= context * 2) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
+    });
+
+    let diff = `--- ${oldName}\n+++ ${newName}\n`;
+    hunks.forEach(hunk => {
+      const lines = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+      const oldCount = lines.filter(op => op.type !== '+').length;
+      const newCount = lines.filter(op => op.type !== '-').length;
+      const oldStart = oldCount > 0 ? lines[0].oldLine + 1 : lines[0].oldLine;
+      const newStart = newCount > 0 ? lines[0].newLine + 1 : lines[0].newLine;
+      diff += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+      lines.forEach(op => {
+        diff += `${op.type}${op.line}\n`;
       });
-      
-      if (!response.ok) {
-        throw new Error(`Claude API error: ${response.status}`);
+    });
+    return diff;
+  }
+
+  // Upload the candidate as a throwaway protocol so the robot analyzes it, then remove it again.
+  // A protocol the robot already had (identical upload) is left alone.
+  async analyzeCandidateProtocol(robot, source, fileName, timeoutMs) {
+    const existing = await this.makeApiRequest('GET', `${robot.baseUrl}/protocols`);
+    const existingIds = new Set((existing.data || []).map(p => p.id));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'opentrons-mcp-fix-'));
+
+    try {
+      const filePath = path.join(dir, fileName);
+      fs.writeFileSync(filePath, source);
+      const uploaded = await this.postProtocolFiles(robot, { file_path: filePath });
+      const protocolId = uploaded.data.id;
+
+      try {
+        const { analysis, timedOut } = await this.waitForAnalysis(robot, protocolId, { timeoutMs });
+        if (timedOut || !analysis) {
+          return { status: 'timeout', problems: [] };
+        }
+
+        const problems = (analysis.errors || []).map(err => `${err.errorType || 'Error'}: ${err.detail || err.title || 'Unknown error'}`);
+        if (analysis.result === 'ok') {
+          return { status: 'ok', problems: [] };
+        }
+        if (analysis.result === 'parameter-value-required' && problems.length === 0) {
+          return { status: 'needs-parameters', problems: [] };
+        }
+        return { status: 'failed', problems: problems.length > 0 ? problems : [`Analysis result: ${analysis.result}`] };
+      } finally {
+        if (!existingIds.has(protocolId)) {
+          await this.makeApiRequest('DELETE', `${robot.baseUrl}/protocols/${protocolId}`).catch(error => {
+            console.error(`⚠️ Could not delete temporary protocol ${protocolId}: ${error.message}`);
+          });
+        }
       }
-      
-      const result = await response.json();
-      return result.content[0].text;
-      
-    } catch (error) {
-      return `❌ Failed to generate fix: ${error.message}\n\nORIGINAL PROTOCOL:\n${originalProtocol}`;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  buildRepairPrompt(source, problems) {
+    return `This Opentrons protocol was rejected:
+
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+PROTOCOL:
+${source}
+
+Fix these problems without changing what the protocol does otherwise. It must keep a top-level metadata dict, a requirements dict with robotType and apiLevel, and a run(protocol) function.
+
+Return ONLY the fixed Python code, no explanations or markdown.`;
+  }
+
+  // Generate a fix (from the error, or from a ready-made prompt), then check it (structure, then robot analysis) and feed problems back to the
+  // model up to maxRepairAttempts more times
+  async generateValidatedFix(robot, options) {
+    const {
+      prompt = null,
+      errorText,
+      originalProtocol,
+      fileName = 'protocol.py',
+      originalName = fileName,
+      lastCompletedStep = null,
+      runId = null,
+      validate = true,
+      maxRepairAttempts = 2,
+      analysisTimeoutMs = 120 * 1000
+    } = options;
+    const config = this.getLlmConfig();
+    const attempts = [];
+    let source = prompt
+      ? this.cleanProtocolSource(await this.completePrompt(prompt, config))
+      : await this.generateFixedProtocol(errorText, originalProtocol, lastCompletedStep, runId);
+
+    for (let attempt = 1; ; attempt++) {
+      let status = 'unvalidated';
+      const { problems, notes } = this.checkProtocolStructure(source);
+      if (problems.length > 0) {
+        status = 'invalid';
+      } else if (validate) {
+        const analysis = await this.analyzeCandidateProtocol(robot, source, fileName, analysisTimeoutMs);
+        status = analysis.status;
+        problems.push(...analysis.problems);
+      }
+      attempts.push({ attempt, status, problems, notes });
+
+      if (problems.length === 0 || attempt > maxRepairAttempts) break;
+      source = this.cleanProtocolSource(await this.completePrompt(this.buildRepairPrompt(source, problems), config));
+    }
+
+    return {
+      source,
+      attempts,
+      status: attempts[attempts.length - 1].status,
+      diff: this.unifiedDiff(originalProtocol, source, `a/${originalName}`, `b/${fileName}`)
+    };
+  }
+
+  formatFixVerdict(fix, analysisTimeoutMs) {
+    const last = fix.attempts[fix.attempts.length - 1];
+    const verdicts = {
+      ok: `✅ Robot analysis passed (attempt ${last.attempt} of ${fix.attempts.length})`,
+      'needs-parameters': `✅ Robot analysis accepted the protocol; it needs runtime parameter values for a full analysis`,
+      timeout: `⚠️ Robot analysis did not finish within ${Math.round(analysisTimeoutMs / 1000)}s - the fix is not verified`,
+      unvalidated: `⚠️ Structure checks passed; not analyzed on the robot`,
+      invalid: `❌ Still missing required protocol structure after ${fix.attempts.length} attempt${fix.attempts.length !== 1 ? 's' : ''}`,
+      failed: `❌ Robot analysis still fails after ${fix.attempts.length} attempt${fix.attempts.length !== 1 ? 's' : ''}`
+    };
+
+    let verdictText = `**Verdict:** ${verdicts[fix.status]}\n\n`;
+    if (fix.attempts.length > 1 || last.problems.length > 0) {
+      verdictText += `**Attempts:**\n`;
+      fix.attempts.forEach(attempt => {
+        verdictText += `${attempt.attempt}. ${attempt.problems.length === 0 ? '✅' : '❌'} ${attempt.status}\n`;
+        attempt.problems.forEach(problem => {
+          verdictText += `   - ${problem}\n`;
+        });
+      });
+      verdictText += '\n';
+    }
+    if (last.notes?.length > 0) {
+      verdictText += `**Notes:**\n${last.notes.map(note => `- ${note}\n`).join('')}\n`;
+    }
+    return verdictText;
+  }
+
+  // Verdict, diff and source of a generated protocol; the source goes to outputPath when given
+  formatFixResult(fix, analysisTimeoutMs, outputPath = null) {
+    let resultText = this.formatFixVerdict(fix, analysisTimeoutMs);
+    resultText += fix.diff
+      ? `**Changes:**\n\n\`\`\`diff\n${fix.diff}\`\`\`\n\n`
+      : `The model returned the protocol unchanged.\n\n`;
+    if (outputPath) {
+      fs.writeFileSync(outputPath, fix.source);
+      resultText += `Protocol written to ${outputPath}\n`;
+    } else {
+      resultText += `**Source:**\n\n\`\`\`python\n${fix.source}\`\`\`\n`;
     }
+    return resultText;
+  }
+
+  async generateFixedProtocol(errorText, originalProtocol, lastCompletedStep = null, currentRunId = null) {
+    const config = this.getLlmConfig();
+    const prompt = this.buildFixPrompt(config, errorText, originalProtocol, lastCompletedStep, currentRunId);
+    return this.cleanProtocolSource(await this.completePrompt(prompt, config));
   }
 
   async run() {